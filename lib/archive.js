@@ -0,0 +1,296 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const base58 = require('bs58');
+const bedrock = require('bedrock');
+const brZCapStorage = require('bedrock-zcap-storage');
+const database = require('bedrock-mongodb');
+const storage = require('./storage');
+const zcaps = require('./zcaps');
+const {escapeRegExp} = require('./util');
+const {validate} = require('bedrock-validation');
+const {BedrockError} = bedrock.util;
+
+/* Note: A data hub archive is a sequence of entries, one per line when
+serialized as NDJSON (newline-delimited JSON):
+
+1. `{type: 'dataHub', version: 1, config}`: the data hub's configuration.
+2. `{type: 'document', doc}`: each document, followed by:
+3. `{type: 'chunk', docId, chunk}`: each of the document's current chunks.
+4. `{type: 'authorization', controller, capability}`: each stored
+  authorization (delegated zcap) for the data hub.
+
+Documents and chunks are exported as stored, so their ciphertext and index
+entries are preserved exactly. Deleted documents are not exported.
+
+An archive is untrusted input: the data hub ID must be a data hub URL on this
+server and each authorization is verified as if it were stored via
+`POST /data-hubs/:dataHubId/authorizations`, i.e., it must target the
+imported data hub and have a valid, unrevoked delegation chain from one of
+its root capabilities. */
+
+// module API
+const api = {};
+module.exports = api;
+
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Exports a data hub. The caller must have permission to access the data
+ * hub's configuration.
+ *
+ * @param {Object} actor the actor or capabilities to perform the action.
+ * @param {string} id the ID of the data hub.
+ *
+ * @return {AsyncIterator<Object>} the archive entries.
+ */
+api.export = async function* ({actor, id}) {
+  assert.string(id, 'id');
+
+  const {config} = await storage.getConfig({actor, id});
+  yield {type: 'dataHub', version: ARCHIVE_VERSION, config};
+
+  const dataHubId = database.hash(id);
+  const docs = database.collections.dataHubDoc.find(
+    {dataHubId, 'meta.deleted': {$exists: false}},
+    {_id: 0, 'doc.id': 1}).sort({_id: 1});
+  let record;
+  while((record = await docs.next())) {
+    // get the document via the storage API in case it was changed since
+    // the export started
+    let doc;
+    try {
+      ({doc} = await storage.get({dataHubId: id, id: record.doc.id}));
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        continue;
+      }
+      throw e;
+    }
+    yield {type: 'document', doc};
+
+    const chunks = database.collections.dataHubDocChunk.find({
+      dataHubId, docId: database.hash(doc.id), 'chunk.sequence': doc.sequence
+    }, {_id: 0, 'chunk.index': 1}).sort({'chunk.index': 1});
+    let chunkRecord;
+    while((chunkRecord = await chunks.next())) {
+      const {chunk} = await storage.getChunk({
+        dataHubId: id, docId: doc.id, chunkIndex: chunkRecord.chunk.index
+      });
+      yield {type: 'chunk', docId: doc.id, chunk};
+    }
+  }
+
+  const authorizations = await brZCapStorage.authorizations.find({
+    query: _getAuthorizationQuery({id}),
+    fields: {_id: 0, authorization: 1}
+  });
+  for(const {authorization: {controller, capability}} of authorizations) {
+    yield {type: 'authorization', controller, capability};
+  }
+};
+
+/**
+ * Imports a data hub from an archive (see `export`). The archive may be
+ * imported with a different data hub ID than the one it was exported with;
+ * in that case, stored authorizations for the original data hub cannot be
+ * imported (as their signed invocation targets refer to the original data
+ * hub) and are skipped.
+ *
+ * In a dry run, the archive is only validated against the data hub JSON
+ * schemas and nothing is stored; all errors found are reported.
+ * Authorizations can only be verified once the data hub exists, so they are
+ * not verified in a dry run. Otherwise,
+ * the import stops at the first error and the partially imported data hub
+ * is removed.
+ *
+ * @param {Object} actor the actor or capabilities to perform the action.
+ * @param {string} [id] the ID to import the data hub with; defaults to the
+ *   ID the data hub was exported with.
+ * @param {AsyncIterable<Object>} entries the archive entries.
+ * @param {boolean} [dryRun=false] `true` to only validate the archive.
+ *
+ * @return {Promise<Object>} resolves to a summary:
+ *   `{id, dryRun, documents, chunks, authorizations, skipped, errors}`.
+ */
+api.import = async ({actor, id, entries, dryRun = false}) => {
+  assert.optionalString(id, 'id');
+  assert.object(entries, 'entries');
+  assert.bool(dryRun, 'dryRun');
+
+  const summary = {
+    id, dryRun, documents: 0, chunks: 0, authorizations: 0, skipped: 0,
+    errors: []
+  };
+  // document IDs => sequence, to check chunks in a dry run
+  const docs = new Map();
+  let sourceId;
+  let line = 0;
+  try {
+    for await (const entry of entries) {
+      line++;
+      try {
+        if(line === 1) {
+          sourceId = await _importConfig({actor, entry, summary});
+          continue;
+        }
+        await _importEntry({entry, sourceId, summary, docs});
+      } catch(e) {
+        if(!dryRun) {
+          throw e;
+        }
+        summary.errors.push({line, type: e.name, message: e.message});
+      }
+    }
+    if(line === 0) {
+      throw new BedrockError(
+        'Data hub archive is empty.',
+        'DataError', {public: true, httpStatusCode: 400});
+    }
+  } catch(e) {
+    if(!dryRun && line > 1) {
+      // remove the partially imported data hub
+      await storage.removeConfig({actor, id: summary.id});
+    }
+    if(!['DataError', 'ValidationError'].includes(e.name)) {
+      throw e;
+    }
+    throw new BedrockError(
+      `Could not import data hub; invalid entry on line ${line}.`,
+      'DataError', {public: true, httpStatusCode: 400, line}, e);
+  }
+  return summary;
+};
+
+async function _importConfig({actor, entry, summary}) {
+  if(!(entry && entry.type === 'dataHub' &&
+    entry.version === ARCHIVE_VERSION && entry.config)) {
+    throw new BedrockError(
+      'The first archive entry must be a version ' +
+      `${ARCHIVE_VERSION} data hub entry.`,
+      'DataError', {public: true, httpStatusCode: 400});
+  }
+  const sourceId = entry.config.id;
+  // the configuration is re-created, so its sequence starts over
+  const config = {...entry.config, id: summary.id || sourceId, sequence: 0};
+  summary.id = config.id;
+  _validate({name: 'config', data: config});
+  _assertDataHubId(config.id);
+  if(!summary.dryRun) {
+    await storage.insertConfig({actor, config});
+  }
+  return sourceId;
+}
+
+async function _importEntry({entry, sourceId, summary, docs}) {
+  const {type} = entry || {};
+  const {id: dataHubId, dryRun} = summary;
+  if(type === 'document') {
+    _validate({name: 'document', data: entry.doc});
+    if(!dryRun) {
+      await storage.insert({dataHubId, doc: entry.doc});
+    }
+    docs.set(entry.doc.id, entry.doc.sequence);
+    summary.documents++;
+    return;
+  }
+  if(type === 'chunk') {
+    _validate({name: 'chunk', data: entry.chunk});
+    if(docs.get(entry.docId) !== entry.chunk.sequence) {
+      throw new BedrockError(
+        'Chunk does not belong to a previous document in the archive.',
+        'DataError', {public: true, httpStatusCode: 400});
+    }
+    if(!dryRun) {
+      await storage.updateChunk(
+        {dataHubId, docId: entry.docId, chunk: entry.chunk});
+    }
+    summary.chunks++;
+    return;
+  }
+  if(type === 'authorization') {
+    const {controller, capability} = entry;
+    if(!(typeof controller === 'string' && capability &&
+      typeof capability === 'object')) {
+      throw new BedrockError(
+        'Authorization entries must have a "controller" and a "capability".',
+        'DataError', {public: true, httpStatusCode: 400});
+    }
+    const target = capability.invocationTarget;
+    const targetId = (target && typeof target === 'object') ?
+      target.id : target;
+    if(!(typeof targetId === 'string' &&
+      targetId.startsWith(`${sourceId}/`))) {
+      throw new BedrockError(
+        'Authorization entries must target the data hub.',
+        'DataError', {
+          public: true,
+          httpStatusCode: 400,
+          invocationTarget: targetId
+        });
+    }
+    if(dataHubId !== sourceId) {
+      summary.skipped++;
+      return;
+    }
+    if(!dryRun) {
+      try {
+        await zcaps.verifyDelegation({dataHubId, controller, capability});
+      } catch(e) {
+        throw new BedrockError(
+          `Authorization "${capability.id}" could not be verified.`,
+          'DataError', {public: true, httpStatusCode: 400}, e);
+      }
+      try {
+        await brZCapStorage.authorizations.insert({controller, capability});
+      } catch(e) {
+        if(e.name !== 'DuplicateError') {
+          throw e;
+        }
+      }
+    }
+    summary.authorizations++;
+    return;
+  }
+  throw new BedrockError(
+    `Unknown archive entry type "${type}".`,
+    'DataError', {public: true, httpStatusCode: 400});
+}
+
+function _assertDataHubId(id) {
+  // the data hub ID must be a data hub URL on this server, ending with a
+  // multibase base58-encoded 128-bit random number (see `http.js`)
+  const baseUrl = zcaps.getDataHubsUrl();
+  const suffix = id.startsWith(baseUrl) ? id.substr(baseUrl.length) : '';
+  let buf;
+  try {
+    buf = base58.decode(suffix.substr(1));
+  } catch(e) {}
+  if(!(suffix.startsWith('z') && buf &&
+    buf.length === 18 && buf[0] === 0x00 && buf[1] === 0x10)) {
+    throw new BedrockError(
+      `Data hub ID "${id}" must be a data hub URL on this server.`,
+      'DataError', {public: true, httpStatusCode: 400, id});
+  }
+}
+
+function _validate({name, data}) {
+  const result = validate(`bedrock-data-hub-storage.${name}`, data);
+  if(!result.valid) {
+    throw result.error;
+  }
+}
+
+function _getAuthorizationQuery({id}) {
+  // authorizations with invocation targets in the data hub
+  const prefix = new RegExp('^' + escapeRegExp(`${id}/`));
+  return {
+    $or: [
+      {'authorization.capability.invocationTarget': prefix},
+      {'authorization.capability.invocationTarget.id': prefix}
+    ]
+  };
+}
@@ -0,0 +1,98 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const crypto = require('crypto');
+const database = require('bedrock-mongodb');
+const {promisify} = require('util');
+const getRandomBytes = promisify(crypto.randomBytes);
+
+// load config defaults
+require('./config');
+
+/* Note: Every capability invocation on a data hub, whether it is allowed or
+denied, is recorded in the `dataHubAudit` collection as an audit event (see
+`_authorize` in `http.js`), including verified invocations that are then
+rejected by the data hub's or invoker's rate limit. Requests that are
+rejected by the client's rate limit, which is applied before their
+invocation is verified, are not recorded, so that a flood of requests does
+not flood the audit log. Events expire via a TTL index once
+the configured retention period has passed; they are intentionally not
+removed along with their data hub so that the audit trail outlives it. */
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(['dataHubAudit']);
+
+  await promisify(database.createIndexes)([{
+    // cover paginated audit event queries by data hub ID + time
+    collection: 'dataHubAudit',
+    fields: {dataHubId: 1, 'meta.created': 1, id: 1},
+    options: {unique: false, background: false}
+  }, {
+    // expire audit events
+    collection: 'dataHubAudit',
+    fields: {'meta.expires': 1},
+    options: {
+      expireAfterSeconds: 0,
+      unique: false,
+      background: false
+    }
+  }]);
+});
+
+/**
+ * Records an audit event for a data hub. Nothing is recorded if auditing is
+ * disabled.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {Object} event the event: `{invoker, keyId, capability,
+ *   rootCapability, action, target, method, result, error}`.
+ *
+ * @return {Promise<Object>} resolves to the database record (or `null` if
+ *   auditing is disabled).
+ */
+api.insert = async ({dataHubId, event}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.object(event, 'event');
+
+  const {enabled, retentionPeriod} = config['data-hub-storage'].audit;
+  if(!enabled) {
+    return null;
+  }
+  const now = Date.now();
+  const record = {
+    id: (await getRandomBytes(16)).toString('hex'),
+    dataHubId: database.hash(dataHubId),
+    meta: {created: now, expires: new Date(now + retentionPeriod)},
+    event
+  };
+  await database.collections.dataHubAudit.insert(
+    record, database.writeOptions);
+  return record;
+};
+
+/**
+ * Retrieves all audit events for a data hub matching the given query.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {Object} query the optional query to use (default: {}).
+ * @param {Object} fields optional fields to include or exclude (default: {}).
+ * @param {Object} options options (eg: 'sort', 'limit').
+ *
+ * @return {Promise<Array>} resolves to the records that matched the query.
+ */
+api.find = async ({dataHubId, query = {}, fields = {}, options = {}}) => {
+  assert.string(dataHubId, 'dataHubId');
+  // force data hub ID
+  query.dataHubId = database.hash(dataHubId);
+  return database.collections.dataHubAudit.find(
+    query, fields, options).toArray();
+};
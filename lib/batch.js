@@ -0,0 +1,218 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const changes = require('./changes');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+const revisions = require('./revisions');
+const storage = require('./storage');
+const usage = require('./usage');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: A batch is a list of document `insert`, `update`, and `delete`
+operations that are run, in order, through the storage API. In rollback
+mode, if any operation fails, the operations that were already applied are
+rolled back by restoring the affected document records to their state
+before the batch and by removing the revisions and changes they recorded.
+
+Rollback mode is NOT atomic. Multi-document transactions are not used, so a
+rollback is a compensating write, which gives these guarantees only:
+
+1. Other requests may see the operations of a batch before they are rolled
+  back, e.g., via the change log; a reader that saw the change recorded by
+  an operation is not notified when it is rolled back.
+2. A document that was changed again by another request in the meantime is
+  left as is.
+3. Revisions pruned by a `{count}` revision retention policy when an
+  operation was applied are not restored.
+4. If the process exits or a rollback write fails, the operations that have
+  not been rolled back yet remain applied. */
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Runs a batch of document operations. Each operation is one of:
+ *
+ * `{type: 'insert', doc}`: inserts `doc`, see `storage.insert`.
+ * `{type: 'update', doc}`: updates `doc`, see `storage.update`.
+ * `{type: 'delete', id, sequence}`: removes the document with the given ID,
+ *   see `storage.remove`; if `sequence` is given, it must match the
+ *   document's sequence.
+ *
+ * An operation that fails with a public error (e.g., a sequence conflict or
+ * a duplicate document) is reported in its result; any other error is
+ * thrown (after rolling back in rollback mode).
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {Array} operations the operations to run.
+ * @param {boolean} [rollback=false] `true` to roll back all operations and
+ *   skip any remaining ones if any operation fails; see the note above for
+ *   the limits of a rollback.
+ *
+ * @return {Promise<Object>} resolves to `{success, results}` where `results`
+ *   has one result per operation, `{type, id, status, sequence, error}`, with
+ *   a `status` of `success`, `failed`, `rolledBack`, or `skipped`.
+ */
+api.write = async ({dataHubId, operations, rollback = false}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.array(operations, 'operations');
+  assert.bool(rollback, 'rollback');
+
+  const {maxOperations} = config['data-hub-storage'].batch;
+  if(operations.length > maxOperations) {
+    throw new BedrockError(
+      `A batch may not have more than ${maxOperations} operations.`,
+      'DataError', {public: true, httpStatusCode: 400});
+  }
+
+  const results = [];
+  // applied operations to roll back in rollback mode:
+  // {result, previous, doc}
+  const applied = [];
+  // changes and revisions recorded after these are removed by a rollback
+  const since = rollback ? {
+    cursor: await changes.getCursor({dataHubId}),
+    created: Date.now()
+  } : null;
+  let success = true;
+  for(const operation of operations) {
+    const {type} = operation;
+    const id = type === 'delete' ? operation.id : operation.doc.id;
+    const result = {type, id};
+    results.push(result);
+    if(!success && rollback) {
+      result.status = 'skipped';
+      continue;
+    }
+
+    // get the record to restore if the batch needs to be rolled back
+    const previous = rollback ? await _getRecord({dataHubId, id}) : null;
+    try {
+      result.sequence = await _apply({dataHubId, operation});
+      result.status = 'success';
+      if(rollback) {
+        applied.push({result, previous, doc: operation.doc});
+      }
+    } catch(e) {
+      if(!(e instanceof BedrockError && e.details && e.details.public)) {
+        if(rollback) {
+          await _rollback({dataHubId, applied, since});
+        }
+        throw e;
+      }
+      result.status = 'failed';
+      result.error = {type: e.name, message: e.message};
+      success = false;
+    }
+  }
+
+  if(!success && rollback) {
+    await _rollback({dataHubId, applied, since});
+  }
+  return {success, results};
+};
+
+async function _apply({dataHubId, operation}) {
+  const {type} = operation;
+  if(type === 'insert') {
+    const {doc} = operation;
+    await storage.insert({dataHubId, doc});
+    return doc.sequence;
+  }
+  if(type === 'update') {
+    const {doc} = operation;
+    await storage.update({dataHubId, doc});
+    return doc.sequence;
+  }
+  if(type === 'delete') {
+    const {id, sequence} = operation;
+    // report the sequence of the removed document, which is not given if
+    // the operation does not require a particular sequence
+    const removed = await storage.remove(
+      {dataHubId, id, sequence, returnSequence: true});
+    if(removed === null) {
+      throw new BedrockError(
+        'Data hub document not found.',
+        'NotFoundError',
+        {dataHub: dataHubId, doc: id, httpStatusCode: 404, public: true});
+    }
+    return removed;
+  }
+  throw new BedrockError(
+    `Unknown batch operation type "${type}".`,
+    'DataError', {public: true, httpStatusCode: 400});
+}
+
+async function _rollback({dataHubId, applied, since}) {
+  // undo operations in reverse order so each document ends up in its state
+  // before the batch
+  for(const {result, previous, doc} of applied.reverse()) {
+    const query = {
+      dataHubId: database.hash(dataHubId),
+      id: database.hash(result.id),
+      'meta.deleted': {$exists: result.type === 'delete'}
+    };
+    if(result.type === 'delete') {
+      query['doc.sequence'] = previous.doc.sequence;
+    } else {
+      query['doc.sequence'] = result.sequence;
+    }
+
+    let writeResult;
+    if(previous) {
+      writeResult = await database.collections.dataHubDoc.replaceOne(
+        query, previous, database.writeOptions);
+    } else {
+      writeResult = await database.collections.dataHubDoc.remove(
+        query, database.writeOptions);
+    }
+    if(writeResult.result.n === 0) {
+      logger.warning(
+        'Could not roll back batch operation; document changed.',
+        {dataHubId, doc: result.id});
+      continue;
+    }
+
+    result.status = 'rolledBack';
+    if(doc) {
+      // release the usage of the rolled back document
+      await usage.update({
+        dataHubId,
+        usage: usage.difference(
+          previous ? usage.getDocUsage(previous.doc) : {},
+          usage.getDocUsage(doc))
+      });
+    }
+    // remove the change recorded by the operation and the revision it
+    // replaced, if any
+    await changes.removeDocChanges({
+      dataHubId, id: result.id, sequence: result.sequence,
+      since: since.cursor
+    });
+    if(previous && result.type !== 'delete') {
+      await revisions.remove({
+        query: {
+          dataHubId: query.dataHubId,
+          id: query.id,
+          sequence: previous.doc.sequence,
+          'meta.created': {$gte: since.created}
+        }
+      });
+    }
+  }
+}
+
+async function _getRecord({dataHubId, id}) {
+  return database.collections.dataHubDoc.findOne(
+    {dataHubId: database.hash(dataHubId), id: database.hash(id)});
+}
@@ -0,0 +1,205 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const database = require('bedrock-mongodb');
+const {EventEmitter} = require('events');
+const {promisify} = require('util');
+
+// load config defaults
+require('./config');
+
+/* Note: Every document insert, update, deletion, and restoration is recorded
+in the `dataHubChange` collection so that clients can incrementally replicate
+a data hub. Each change is assigned a number (its "cursor") from a per data
+hub counter in the `dataHubChangeCounter` collection; cursors increase
+monotonically in the order in which they are assigned.
+
+Changes are recorded after the associated document write completes, so
+concurrent writers may record changes out of cursor order. To ensure that a
+client never skips a change, `find` stops at the first gap in the cursors
+unless the gap is older than `changes.gapTimeout`, in which case the writer
+that was assigned the missing cursor is presumed to have failed. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// emits `change` with `{dataHubId, cursor}` whenever a change is recorded
+// by this process
+api.events = new EventEmitter();
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(
+    ['dataHubChange', 'dataHubChangeCounter']);
+
+  await promisify(database.createIndexes)([{
+    // cover change queries by data hub ID + cursor
+    collection: 'dataHubChange',
+    fields: {dataHubId: 1, cursor: 1},
+    options: {unique: true, background: false}
+  }, {
+    // one change counter per data hub
+    collection: 'dataHubChangeCounter',
+    fields: {dataHubId: 1},
+    options: {unique: true, background: false}
+  }]);
+});
+
+/**
+ * Records a change to a data hub document.
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {string} type the type of change: `insert`, `update`, `delete`,
+ *   or `restore`.
+ * @param {string} id the ID of the document.
+ * @param {number} sequence the sequence of the document after the change.
+ *
+ * @return {Promise<Object>} resolves to the change record.
+ */
+api.insert = async ({dataHubId, type, id, sequence}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.string(type, 'type');
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+
+  const cursor = await _nextCursor({dataHubId: database.hash(dataHubId)});
+  const record = {
+    dataHubId: database.hash(dataHubId),
+    cursor,
+    meta: {created: Date.now()},
+    change: {type, id, sequence}
+  };
+  await database.collections.dataHubChange.insert(
+    record, database.writeOptions);
+  api.events.emit('change', {dataHubId, cursor});
+  return record;
+};
+
+/**
+ * Retrieves the changes to the documents in a data hub, in cursor order.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {number} [since=0] only changes with a cursor greater than this
+ *   are returned.
+ * @param {number} limit the maximum number of changes to return.
+ *
+ * @return {Promise<Object>} resolves to `{records, hasMore}`, where
+ *   `hasMore` is `true` if more changes are available right away.
+ */
+api.find = async ({dataHubId, since = 0, limit}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.number(since, 'since');
+  assert.number(limit, 'limit');
+
+  const records = await database.collections.dataHubChange.find(
+    {dataHubId: database.hash(dataHubId), cursor: {$gt: since}},
+    {_id: 0, cursor: 1, meta: 1, change: 1}
+  ).sort({cursor: 1}).limit(limit + 1).toArray();
+
+  // stop at the first gap that may still be filled by a concurrent writer
+  const {gapTimeout} = config['data-hub-storage'].changes;
+  const settled = Date.now() - gapTimeout;
+  let last = since;
+  let end = 0;
+  for(; end < records.length; ++end) {
+    const {cursor, meta} = records[end];
+    if(cursor !== last + 1 && meta.created > settled) {
+      break;
+    }
+    last = cursor;
+  }
+
+  // changes after a gap are not available yet, so they are not counted
+  const hasMore = end > limit;
+  return {records: records.slice(0, Math.min(end, limit)), hasMore};
+};
+
+/**
+ * Gets the cursor of the most recent change to the documents in a data hub.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise<number>} resolves to the cursor (`0` if there have been
+ *   no changes).
+ */
+api.getCursor = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  const record = await database.collections.dataHubChangeCounter.findOne(
+    {dataHubId: database.hash(dataHubId)}, {_id: 0, cursor: 1});
+  return record ? record.cursor : 0;
+};
+
+/**
+ * Removes the changes to a document with the given sequence that were
+ * recorded after the given cursor, e.g., when the batch operation that
+ * recorded them is rolled back (see `batch.js`) or an incomplete copy is
+ * removed (see `storage.copy`). Readers treat the removed cursors like those
+ * of a failed writer (see `changes.gapTimeout`).
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {string} id the ID of the document.
+ * @param {number} sequence the sequence of the document after the change.
+ * @param {number} since only changes with a cursor greater than this are
+ *   removed.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.removeDocChanges = async ({dataHubId, id, sequence, since}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+  assert.number(since, 'since');
+  await database.collections.dataHubChange.remove({
+    dataHubId: database.hash(dataHubId),
+    cursor: {$gt: since},
+    'change.id': id,
+    'change.sequence': sequence
+  }, database.writeOptions);
+};
+
+/**
+ * Removes all changes to the documents in a data hub, e.g., when the data
+ * hub is removed.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.remove = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  const query = {dataHubId: database.hash(dataHubId)};
+  await database.collections.dataHubChange.remove(
+    query, database.writeOptions);
+  await database.collections.dataHubChangeCounter.remove(
+    query, database.writeOptions);
+};
+
+async function _nextCursor({dataHubId}) {
+  const collection = database.collections.dataHubChangeCounter;
+  const update = {$inc: {cursor: 1}};
+  const options = {
+    ...database.writeOptions,
+    projection: {_id: 0, cursor: 1},
+    returnOriginal: false,
+    upsert: true
+  };
+  try {
+    const result = await collection.findOneAndUpdate(
+      {dataHubId}, update, options);
+    return result.value.cursor;
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // counter concurrently created; it exists now so the retry will not
+    // upsert
+    const result = await collection.findOneAndUpdate(
+      {dataHubId}, update, options);
+    return result.value.cursor;
+  }
+}
@@ -0,0 +1,142 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const chunkStore = require('./chunkStore');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+
+// load config defaults
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+let _timer = null;
+let _sweeping = null;
+
+bedrock.events.on('bedrock.ready', () => {
+  const cfg = config['data-hub-storage'].chunkCollector;
+  if(!cfg.enabled) {
+    return;
+  }
+  _timer = setInterval(() => {
+    api.sweep().catch(e => logger.error(
+      'Document chunk garbage collection failed.', {error: e}));
+  }, cfg.interval);
+  // do not keep the process alive just to collect garbage
+  _timer.unref();
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  clearInterval(_timer);
+  _timer = null;
+  // let any in progress sweep finish
+  if(_sweeping) {
+    await _sweeping.catch(() => {});
+  }
+});
+
+/**
+ * Runs a single garbage collection sweep over all stored document chunks,
+ * removing any chunk that:
+ *
+ * 1. Has a sequence that does not match its document's sequence (e.g., left
+ *   behind by a failed upload or superseded by a newer upload).
+ * 2. Has an index beyond the number of chunks in its document's stream (e.g.,
+ *   left behind because the associated data shrunk in size).
+ * 3. Is orphaned because its document no longer exists.
+ *
+ * Chunks that were updated within the configured grace period are skipped
+ * so that uploads in progress are not disturbed. If a sweep is already
+ * running in this process, its result is returned instead of starting
+ * another.
+ *
+ * @return {Promise<Object>} resolves to the counts of removed chunks:
+ *   `{stale, extra, orphaned, total}`.
+ */
+api.sweep = async () => {
+  if(!_sweeping) {
+    _sweeping = _sweep().finally(() => _sweeping = null);
+  }
+  return _sweeping;
+};
+
+async function _sweep() {
+  const {batchSize, gracePeriod} = config['data-hub-storage'].chunkCollector;
+  const counts = {stale: 0, extra: 0, orphaned: 0, total: 0};
+  const before = Date.now() - gracePeriod;
+
+  let lastId;
+  while(true) {
+    const query = {'meta.updated': {$lt: before}};
+    if(lastId) {
+      query._id = {$gt: lastId};
+    }
+    const chunks = await database.collections.dataHubDocChunk.find(query, {
+      _id: 1, dataHubId: 1, docId: 1, 'chunk.index': 1, 'chunk.sequence': 1
+    }).sort({_id: 1}).limit(batchSize).toArray();
+    if(chunks.length === 0) {
+      break;
+    }
+    lastId = chunks[chunks.length - 1]._id;
+
+    // get the documents the chunks belong to
+    const docIds = _unique(
+      chunks.map(({dataHubId, docId}) => ({dataHubId, id: docId})));
+    const docs = await database.collections.dataHubDoc.find(
+      {$or: docIds},
+      {_id: 0, dataHubId: 1, id: 1, 'doc.sequence': 1, 'doc.stream': 1}
+    ).toArray();
+    const docMap = new Map(docs.map(d => [`${d.dataHubId}:${d.id}`, d.doc]));
+
+    // reason => chunks to remove
+    const garbage = {stale: [], extra: [], orphaned: []};
+    for(const {_id, dataHubId, docId, chunk} of chunks) {
+      const doc = docMap.get(`${dataHubId}:${docId}`);
+      let reason;
+      if(!doc) {
+        reason = 'orphaned';
+      } else if(chunk.sequence !== doc.sequence) {
+        reason = 'stale';
+      } else if(doc.stream && chunk.index >= doc.stream.chunks) {
+        reason = 'extra';
+      } else {
+        continue;
+      }
+      garbage[reason].push({_id, 'chunk.sequence': chunk.sequence});
+    }
+
+    for(const [reason, conditions] of Object.entries(garbage)) {
+      if(conditions.length === 0) {
+        continue;
+      }
+      // only remove chunks that have not been replaced since they were
+      // examined
+      const count = await chunkStore.removeChunks({
+        query: {'meta.updated': {$lt: before}, $or: conditions}
+      });
+      counts[reason] += count;
+      counts.total += count;
+    }
+  }
+
+  logger.info('Document chunk garbage collection complete.', {counts});
+  return counts;
+}
+
+function _unique(docIds) {
+  const seen = new Set();
+  return docIds.filter(({dataHubId, id}) => {
+    const key = `${dataHubId}:${id}`;
+    if(seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
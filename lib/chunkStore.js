@@ -0,0 +1,233 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const crypto = require('crypto');
+const database = require('bedrock-mongodb');
+const FileSystemChunkStore = require('./chunkStores/filesystem');
+const GridFsChunkStore = require('./chunkStores/gridfs');
+const logger = require('./logger');
+const usage = require('./usage');
+const {promisify} = require('util');
+const getRandomBytes = promisify(crypto.randomBytes);
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: Document chunk records in the `dataHubDocChunk` collection only hold
+chunk metadata. The (potentially large) ciphertext of each chunk's JWE is
+stored as a "payload" in a chunk store backend and the record references it
+via `payload: {backend, id, size}`. Records written before chunk stores were
+introduced hold their ciphertext inline; these can be moved to the configured
+backend via `migrate`. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// registered chunk store backends: name => {create, backend}
+const _backends = new Map();
+
+bedrock.events.on('bedrock.ready', () => {
+  if(!config['data-hub-storage'].chunkStorage.migrateOnStartup) {
+    return;
+  }
+  // not awaited so that a large migration does not block startup
+  api.migrate().catch(e => logger.error(
+    'Could not migrate document chunks to chunk store.', {error: e}));
+});
+
+/**
+ * Registers a chunk store backend. A backend must provide the following
+ * methods:
+ *
+ * `put({id, data})`: stores a `Buffer` as the payload with the given ID.
+ * `get({id})`: resolves to the payload `Buffer` or throws `NotFoundError`.
+ * `remove({id})`: resolves to `true` if the payload was removed, `false` if
+ *   it did not exist.
+ *
+ * @param {string} name the name of the backend, used to select it via the
+ *   `chunkStorage.backend` config option.
+ * @param {Function} create a function that is called with the backend's
+ *   configuration (`chunkStorage[name]`) the first time the backend is used
+ *   and that returns the backend.
+ */
+api.register = ({name, create}) => {
+  assert.string(name, 'name');
+  assert.func(create, 'create');
+  if(_backends.has(name)) {
+    throw new Error(`Chunk store backend "${name}" is already registered.`);
+  }
+  _backends.set(name, {create, backend: null});
+};
+
+/**
+ * Writes a payload to the configured chunk store backend.
+ *
+ * @param {string} data the payload data.
+ *
+ * @return {Promise<Object>} resolves to a payload reference to store in the
+ *   chunk record: `{backend, id, size}`.
+ */
+api.write = async ({data}) => {
+  assert.string(data, 'data');
+  const {backend: name} = config['data-hub-storage'].chunkStorage;
+  const backend = _getBackend(name);
+  const id = (await getRandomBytes(16)).toString('hex');
+  const buffer = Buffer.from(data, 'utf8');
+  await backend.put({id, data: buffer});
+  return {backend: name, id, size: buffer.length};
+};
+
+/**
+ * Reads a payload from the chunk store backend it was written to.
+ *
+ * @param {Object} payload the payload reference from the chunk record.
+ *
+ * @return {Promise<string>} resolves to the payload data.
+ */
+api.read = async ({payload}) => {
+  assert.object(payload, 'payload');
+  const buffer = await _getBackend(payload.backend).get({id: payload.id});
+  return buffer.toString('utf8');
+};
+
+/**
+ * Removes a payload from the chunk store backend it was written to.
+ *
+ * @param {Object} payload the payload reference from the chunk record.
+ *
+ * @return {Promise<Boolean>} resolves to `true` if a payload was removed and
+ *   `false` if not.
+ */
+api.remove = async ({payload}) => {
+  assert.object(payload, 'payload');
+  return _getBackend(payload.backend).remove({id: payload.id});
+};
+
+/**
+ * Removes all document chunk records matching the given query along with
+ * their payloads. The usage of the data hubs the chunks were in is updated
+ * accordingly (see `usage.js`).
+ *
+ * @param {Object} query the query for the `dataHubDocChunk` records.
+ *
+ * @return {Promise<number>} resolves to the number of records removed.
+ */
+api.removeChunks = async ({query}) => {
+  assert.object(query, 'query');
+  const {batchSize} = config['data-hub-storage'].chunkStorage;
+  const collection = database.collections.dataHubDocChunk;
+
+  let count = 0;
+  while(true) {
+    const records = await collection.find(query, {_id: 1})
+      .limit(batchSize).toArray();
+    if(records.length === 0) {
+      break;
+    }
+    // remove each record before its payload so that a record is never left
+    // referencing a removed payload; records that no longer match the query
+    // (e.g., because they were concurrently replaced) are not removed, and
+    // only the payloads and usage of removed records are released (if
+    // interrupted, a payload may be left unreferenced, which is harmless)
+    for(const {_id} of records) {
+      const result = await collection.findOneAndDelete(
+        {$and: [query, {_id}]}, {
+          projection: {
+            _id: 0, dataHubId: 1, payload: 1, 'chunk.jwe.ciphertext': 1
+          }
+        });
+      const record = result.value;
+      if(!record) {
+        continue;
+      }
+      if(record.payload) {
+        await api.remove({payload: record.payload});
+      }
+      count++;
+      await usage.update({
+        hash: record.dataHubId,
+        usage: usage.difference({}, usage.getChunkUsage(record))
+      });
+    }
+  }
+  return count;
+};
+
+/**
+ * Moves the inline ciphertext of any document chunk records written before
+ * chunk stores were introduced to the configured chunk store backend.
+ *
+ * @return {Promise<Object>} resolves to `{migrated}`, the number of chunk
+ *   records that were migrated.
+ */
+api.migrate = async () => {
+  const {batchSize} = config['data-hub-storage'].chunkStorage;
+  const collection = database.collections.dataHubDocChunk;
+  const query = {
+    payload: {$exists: false},
+    'chunk.jwe.ciphertext': {$exists: true}
+  };
+
+  let migrated = 0;
+  while(true) {
+    const records = await collection.find(
+      query, {_id: 1, 'chunk.jwe.ciphertext': 1})
+      .limit(batchSize).toArray();
+    if(records.length === 0) {
+      break;
+    }
+    for(const {_id, chunk} of records) {
+      const {ciphertext} = chunk.jwe;
+      const payload = await api.write({data: ciphertext});
+      // only update the record if it has not changed in the meantime
+      const result = await collection.update({
+        _id,
+        payload: {$exists: false},
+        'chunk.jwe.ciphertext': ciphertext
+      }, {
+        $set: {payload},
+        $unset: {'chunk.jwe.ciphertext': ''}
+      }, database.writeOptions);
+      if(result.result.n === 0) {
+        // chunk was concurrently updated or removed; discard copy
+        await api.remove({payload});
+        continue;
+      }
+      migrated++;
+    }
+  }
+
+  logger.info('Document chunk migration complete.', {migrated});
+  return {migrated};
+};
+
+// register built-in backends
+api.register({
+  name: 'gridfs',
+  create: options => new GridFsChunkStore(options)
+});
+api.register({
+  name: 'filesystem',
+  create: options => new FileSystemChunkStore(options)
+});
+
+function _getBackend(name) {
+  const entry = _backends.get(name);
+  if(!entry) {
+    throw new BedrockError(
+      `Chunk store backend "${name}" is not registered.`,
+      'NotFoundError', {backend: name});
+  }
+  if(!entry.backend) {
+    entry.backend = entry.create(
+      config['data-hub-storage'].chunkStorage[name] || {});
+  }
+  return entry.backend;
+}
@@ -0,0 +1,97 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+const {BedrockError} = bedrock.util;
+
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * A chunk store that stores chunk payloads as files in a local directory
+ * (or a network file system mounted on all servers). Files are spread out
+ * over subdirectories named after the first two characters of their IDs to
+ * keep directory sizes manageable.
+ */
+module.exports = class FileSystemChunkStore {
+  /**
+   * @param {string} path the path to the directory to store payloads in.
+   */
+  constructor({path}) {
+    if(typeof path !== 'string') {
+      throw new Error(
+        'The path for the "filesystem" chunk store must be configured.');
+    }
+    this.path = path;
+  }
+
+  /**
+   * Writes a payload.
+   *
+   * @param {string} id the ID of the payload.
+   * @param {Buffer} data the payload data.
+   *
+   * @return {Promise} resolves once the operation completes.
+   */
+  async put({id, data}) {
+    const filename = this._getFilename(id);
+    await mkdir(path.dirname(filename), {recursive: true});
+    // write to a temporary file first so a partial write is never visible
+    const tmp = `${filename}.tmp`;
+    await writeFile(tmp, data);
+    await rename(tmp, filename);
+  }
+
+  /**
+   * Reads a payload.
+   *
+   * @param {string} id the ID of the payload.
+   *
+   * @return {Promise<Buffer>} resolves to the payload data.
+   */
+  async get({id}) {
+    try {
+      return await readFile(this._getFilename(id));
+    } catch(e) {
+      if(e.code !== 'ENOENT') {
+        throw e;
+      }
+      throw new BedrockError(
+        'Chunk payload not found.',
+        'NotFoundError', {payload: id, httpStatusCode: 404, public: true}, e);
+    }
+  }
+
+  /**
+   * Removes a payload.
+   *
+   * @param {string} id the ID of the payload.
+   *
+   * @return {Promise<Boolean>} resolves to `true` if a payload was removed
+   *   and `false` if not.
+   */
+  async remove({id}) {
+    try {
+      await unlink(this._getFilename(id));
+    } catch(e) {
+      if(e.code === 'ENOENT') {
+        return false;
+      }
+      throw e;
+    }
+    return true;
+  }
+
+  _getFilename(id) {
+    // IDs are hex-encoded, so they are always safe to use as filenames
+    return path.join(this.path, id.substr(0, 2), id);
+  }
+};
@@ -0,0 +1,98 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const {BedrockError} = bedrock.util;
+
+/**
+ * A chunk store that stores chunk payloads as files in a MongoDB GridFS
+ * bucket. Each payload is stored as a file using its ID as the file ID.
+ */
+module.exports = class GridFsChunkStore {
+  /**
+   * @param {string} bucketName the name of the GridFS bucket to use.
+   */
+  constructor({bucketName}) {
+    this.bucketName = bucketName;
+    this._bucket = null;
+  }
+
+  /**
+   * Writes a payload.
+   *
+   * @param {string} id the ID of the payload.
+   * @param {Buffer} data the payload data.
+   *
+   * @return {Promise} resolves once the operation completes.
+   */
+  async put({id, data}) {
+    const bucket = this._getBucket();
+    await new Promise((resolve, reject) => {
+      bucket.openUploadStreamWithId(id, id)
+        .on('error', reject)
+        .on('finish', resolve)
+        .end(data);
+    });
+  }
+
+  /**
+   * Reads a payload.
+   *
+   * @param {string} id the ID of the payload.
+   *
+   * @return {Promise<Buffer>} resolves to the payload data.
+   */
+  async get({id}) {
+    const bucket = this._getBucket();
+    const buffers = [];
+    try {
+      await new Promise((resolve, reject) => {
+        bucket.openDownloadStream(id)
+          .on('error', reject)
+          .on('data', data => buffers.push(data))
+          .on('end', resolve);
+      });
+    } catch(e) {
+      if(e.code !== 'ENOENT') {
+        throw e;
+      }
+      throw new BedrockError(
+        'Chunk payload not found.',
+        'NotFoundError', {payload: id, httpStatusCode: 404, public: true}, e);
+    }
+    return Buffer.concat(buffers);
+  }
+
+  /**
+   * Removes a payload.
+   *
+   * @param {string} id the ID of the payload.
+   *
+   * @return {Promise<Boolean>} resolves to `true` if a payload was removed
+   *   and `false` if not.
+   */
+  async remove({id}) {
+    try {
+      await this._getBucket().delete(id);
+    } catch(e) {
+      if(e.message && e.message.startsWith('FileNotFound')) {
+        return false;
+      }
+      throw e;
+    }
+    return true;
+  }
+
+  _getBucket() {
+    // bucket must be created lazily as the database is not available until
+    // `bedrock-mongodb.ready`
+    if(!this._bucket) {
+      this._bucket = database.createGridFSBucket(
+        {bucketName: this.bucketName});
+    }
+    return this._bucket;
+  }
+};
@@ -12,6 +12,214 @@ require('bedrock-validation');
 const namespace = 'data-hub-storage';
 config[namespace] = {};
 
+// data hub config queries (`GET /data-hubs`)
+config[namespace].dataHubQuery = {
+  // number of data hub configs returned per page if no limit is given
+  defaultLimit: 100,
+  // maximum number of data hub configs that may be returned per page
+  maxLimit: 1000
+};
+
+// document queries (`POST /data-hubs/:dataHubId/query`)
+config[namespace].documentQuery = {
+  // number of documents returned per page if no limit is given
+  defaultLimit: 100,
+  // maximum number of documents that may be returned per page
+  maxLimit: 1000,
+  // maximum nesting depth of query filter expressions
+  maxFilterDepth: 8
+};
+
+// storage quotas, see `usage.js`; each quota may limit the number of
+// `documents` and document `chunks` stored in a data hub and the total size,
+// in `bytes`, of their ciphertext; a limit of `null` means no limit
+config[namespace].quotas = {
+  // the quota for every data hub
+  default: {
+    documents: null,
+    chunks: null,
+    bytes: null
+  },
+  // controller ID => quota, overrides `default` for the controller's data
+  // hubs
+  controllers: {},
+  // data hub ID => quota, overrides `default` and `controllers`
+  dataHubs: {}
+};
+
+// rate limits for zcap-authorized routes, see `rateLimits.js`; each limit is
+// a token bucket with a `capacity` (the maximum burst of requests) and a
+// `refillRate` (the sustained number of requests per second) for a route
+// class (`read`, `write`, or `query`); a limit of `null` means no limit
+config[namespace].rateLimits = {
+  // set to `false` to disable rate limiting
+  enabled: true,
+  // name of the store to keep token buckets in: `memory` (per process),
+  // `mongodb` (shared by all processes), or the name of a store registered
+  // by another module
+  store: 'memory',
+  // limits per client IP address, applied before capability invocations are
+  // verified
+  client: {
+    read: {capacity: 1000, refillRate: 100},
+    write: {capacity: 500, refillRate: 50},
+    query: {capacity: 200, refillRate: 20}
+  },
+  // limits per data hub, applied to verified capability invocations only
+  dataHub: {
+    read: {capacity: 1000, refillRate: 100},
+    write: {capacity: 500, refillRate: 50},
+    query: {capacity: 200, refillRate: 20}
+  },
+  // limits per verified invoker (across all data hubs)
+  invoker: {
+    read: {capacity: 500, refillRate: 50},
+    write: {capacity: 250, refillRate: 25},
+    query: {capacity: 100, refillRate: 10}
+  },
+  // options for the built-in stores
+  memory: {
+    // how often (in milliseconds) to forget refilled buckets
+    sweepInterval: 60 * 1000
+  },
+  mongodb: {
+    collection: 'dataHubRateLimit'
+  }
+};
+
+// audit log of capability invocations (`GET /data-hubs/:dataHubId/audit`),
+// see `audit.js`
+config[namespace].audit = {
+  // set to `false` to stop recording audit events
+  enabled: true,
+  // how long (in milliseconds) audit events are kept
+  retentionPeriod: 365 * 24 * 60 * 60 * 1000,
+  // number of audit events returned per page if no limit is given
+  defaultLimit: 100,
+  // maximum number of audit events that may be returned per page
+  maxLimit: 1000
+};
+
+// delegated capabilities (zcaps)
+config[namespace].zcaps = {
+  // maximum lifetime (in milliseconds) of delegated capabilities stored via
+  // `POST /data-hubs/:dataHubId/authorizations`, measured from when they are
+  // stored; such capabilities must have an `expires` date within it; `null`
+  // means no limit
+  maxDelegationTtl: 365 * 24 * 60 * 60 * 1000,
+  // maximum clock difference (in milliseconds) allowed when checking the
+  // `expires` and `notBefore` dates of capabilities
+  maxClockSkew: 5 * 60 * 1000
+};
+
+// signature suites accepted in capability delegation chains, see `suites.js`;
+// the built-in suites are `Ed25519Signature2018`, `Ed25519Signature2020`,
+// `EcdsaSecp256r1Signature2019` (P-256), and `EcdsaSecp256k1Signature2019`;
+// the latter requires its optional dependency to be installed
+config[namespace].suites = {
+  // suites accepted when capabilities are invoked
+  invocation: ['Ed25519Signature2018'],
+  // suites accepted when delegated capabilities are stored or revoked
+  delegation: ['Ed25519Signature2018']
+};
+
+// resolution of DIDs in capability invocations and delegation chains, see
+// `didResolver.js`
+config[namespace].didResolver = {
+  // DID method => `{allow, deny}`; DIDs of methods that are not listed may
+  // not be resolved; `allow` is a list of the method's DIDs that may be
+  // resolved (`null` for all of them) and `deny` is a list of the method's
+  // DIDs that may not be resolved
+  methods: {
+    key: {allow: null, deny: []}
+  },
+  // locally configured DID documents: DID => DID document
+  documents: {},
+  // DID method => how long (in milliseconds) resolved DID documents are
+  // cached; DID documents of methods that are not listed are not cached
+  cacheTtl: {}
+};
+
+// batch document writes (`POST /data-hubs/:dataHubId/documents/batch`)
+config[namespace].batch = {
+  // maximum number of operations in a single batch
+  maxOperations: 1000
+};
+
+// copying and moving documents between data hubs, see `transfers.js`
+config[namespace].transfers = {
+  // how long (in milliseconds) a transfer may be redeemed after it is created
+  ttl: 5 * 60 * 1000
+};
+
+// document change feed (`GET /data-hubs/:dataHubId/changes`)
+config[namespace].changes = {
+  // number of changes returned per page if no limit is given
+  defaultLimit: 100,
+  // maximum number of changes that may be returned per page
+  maxLimit: 1000,
+  // how long (in milliseconds) to wait for a concurrent writer to record
+  // a change before skipping over its cursor, see `changes.js`
+  gapTimeout: 30 * 1000
+};
+
+// live change notifications (server-sent events)
+config[namespace].notifications = {
+  // how often (in milliseconds) to poll for changes made by other processes
+  pollInterval: 1000,
+  // how often (in milliseconds) to send a comment to keep connections open
+  heartbeatInterval: 30 * 1000,
+  // number of changes to fetch per poll
+  batchSize: 100
+};
+
+// garbage collection of stale and orphaned document chunks
+config[namespace].chunkCollector = {
+  // set to `false` to disable the collector (e.g., on all but one worker)
+  enabled: true,
+  // how often to run a sweep, in milliseconds
+  interval: 60 * 60 * 1000,
+  // chunks updated more recently than this (in milliseconds) are not
+  // collected so that uploads in progress are not disturbed
+  gracePeriod: 15 * 60 * 1000,
+  // number of chunks to examine per database query
+  batchSize: 1000
+};
+
+// deleted documents are kept as tombstones until purged, see `tombstones.js`
+config[namespace].tombstones = {
+  // how long (in milliseconds) a deleted document can be restored before
+  // it (and its chunks and revisions) may be permanently purged
+  retentionPeriod: 30 * 24 * 60 * 60 * 1000,
+  // set to `false` to disable purging (e.g., on all but one worker)
+  enabled: true,
+  // how often to run a purge, in milliseconds
+  interval: 60 * 60 * 1000,
+  // number of tombstones to purge per database query
+  batchSize: 100
+};
+
+// storage for document chunk payloads (ciphertext), see `chunkStore.js`
+config[namespace].chunkStorage = {
+  // name of the backend to write new payloads to: `gridfs`, `filesystem`,
+  // or the name of a backend registered by another module
+  backend: 'gridfs',
+  // set to `true` to move the inline ciphertext of existing chunk records
+  // to `backend` on startup
+  migrateOnStartup: false,
+  // number of chunk records to process per database query
+  batchSize: 100,
+  // options for the built-in backends
+  gridfs: {
+    bucketName: 'dataHubDocChunkPayload'
+  },
+  filesystem: {
+    // path to the directory to store payloads in; must be set if the
+    // `filesystem` backend is used
+    path: null
+  }
+};
+
 // permissions
 const permissions = config.permission.permissions;
 permissions.DATA_HUB_CONFIG_ACCESS = {
@@ -0,0 +1,136 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const base58 = require('bs58');
+const bedrock = require('bedrock');
+const {SECURITY_CONTEXT_V2_URL} = require('jsonld-signatures');
+const {BedrockError} = bedrock.util;
+
+/* Note: A `did:key` DID encodes a public key as `did:key:z<fingerprint>`,
+where the fingerprint is the base58-encoded multicodec value of the key: a
+varint key type prefix followed by the public key bytes. Its DID document is
+generated from the key, whose ID is `<did>#<fingerprint>`; dereferencing the
+DID yields the DID document and dereferencing the key ID yields the key, so
+that the key's `controller` is not embedded when the key is framed for
+verifying a proof.
+
+Ed25519, secp256k1, and P-256 keys are verification methods for
+authentication, assertions, and capability delegation and invocation; X25519
+keys are key agreement keys. Elliptic curve keys are encoded compressed;
+secp256k1 and P-256 keys are expressed in base58 as the
+`EcdsaSecp256k1Signature2019` and `EcdsaSecp256r1Signature2019` suites expect.
+Other key types are not supported. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// supported key types by multicodec prefix
+const KEY_TYPES = [{
+  // ed25519-pub
+  prefix: [0xed, 0x01],
+  size: 32,
+  keyAgreement: false,
+  getKey: key => ({
+    type: 'Ed25519VerificationKey2018',
+    publicKeyBase58: base58.encode(key)
+  })
+}, {
+  // x25519-pub
+  prefix: [0xec, 0x01],
+  size: 32,
+  keyAgreement: true,
+  getKey: key => ({
+    type: 'X25519KeyAgreementKey2019',
+    publicKeyBase58: base58.encode(key)
+  })
+}, {
+  // secp256k1-pub
+  prefix: [0xe7, 0x01],
+  size: 33,
+  keyAgreement: false,
+  getKey: key => ({
+    type: 'EcdsaSecp256k1VerificationKey2019',
+    publicKeyBase58: base58.encode(key)
+  })
+}, {
+  // p256-pub
+  prefix: [0x80, 0x24],
+  size: 33,
+  keyAgreement: false,
+  getKey: key => ({
+    type: 'EcdsaSecp256r1VerificationKey2019',
+    publicKeyBase58: base58.encode(key)
+  })
+}];
+
+/**
+ * Gets the DID document for a `did:key` DID or the key for a `did:key` key
+ * URL.
+ *
+ * @param {string} url the DID or the URL of its key.
+ *
+ * @return {Object} the DID document or the key.
+ */
+api.get = ({url}) => {
+  const [did, fragment] = url.split('#');
+  const fingerprint = did.substr('did:key:'.length);
+  const buffer = did.startsWith('did:key:') &&
+    (fragment === undefined || fragment === fingerprint) &&
+    _decodeFingerprint(fingerprint);
+  if(!buffer) {
+    throw new BedrockError(
+      `Invalid "did:key" URL "${url}".`,
+      'DataError', {public: true, httpStatusCode: 400, url});
+  }
+
+  const keyType = KEY_TYPES.find(({prefix, size}) =>
+    buffer.length === prefix.length + size &&
+    prefix.every((byte, i) => buffer[i] === byte));
+  if(!keyType) {
+    throw new BedrockError(
+      `Unsupported "did:key" key type in "${url}".`,
+      'NotSupportedError', {public: true, httpStatusCode: 400, url});
+  }
+
+  const keyId = `${did}#${fingerprint}`;
+  let verificationMethod;
+  try {
+    const key = buffer.slice(keyType.prefix.length);
+    verificationMethod = {id: keyId, controller: did, ...keyType.getKey(key)};
+  } catch(e) {
+    throw new BedrockError(
+      `Invalid "did:key" public key in "${url}".`,
+      'DataError', {public: true, httpStatusCode: 400, url}, e);
+  }
+  if(fragment !== undefined) {
+    return {'@context': SECURITY_CONTEXT_V2_URL, ...verificationMethod};
+  }
+  const document = {
+    '@context': SECURITY_CONTEXT_V2_URL,
+    id: did,
+    publicKey: [verificationMethod]
+  };
+  const relationships = keyType.keyAgreement ? ['keyAgreement'] : [
+    'authentication', 'assertionMethod', 'capabilityDelegation',
+    'capabilityInvocation'
+  ];
+  for(const relationship of relationships) {
+    document[relationship] = [keyId];
+  }
+  return document;
+};
+
+function _decodeFingerprint(fingerprint) {
+  // leading `z` indicates base58 encoding
+  if(!fingerprint.startsWith('z')) {
+    return null;
+  }
+  try {
+    return base58.decode(fingerprint.substr(1));
+  } catch(e) {
+    return null;
+  }
+}
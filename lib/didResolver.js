@@ -0,0 +1,170 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const database = require('bedrock-mongodb');
+const didKey = require('./didKey');
+const {promisify} = require('util');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: DIDs (and their key URLs) in capability invocations and delegation
+chains are resolved to DID documents as follows:
+
+1. The DID's method must be listed in the `didResolver.methods` config and
+  the DID must be allowed (and not denied) by the method's `allow` and `deny`
+  lists.
+2. DID documents in the `didResolver.documents` config are served as is.
+3. DID documents previously resolved for a method with a cache TTL (see the
+  `didResolver.cacheTtl` config) are served from the `dataHubDidCache`
+  collection until they expire.
+4. Otherwise, the DID is resolved by the resolver registered for its method
+  and the result is cached if the method has a cache TTL. A resolver for the
+  `key` method is built in; other modules may register resolvers for other
+  methods (e.g., `web` or `v1`).
+5. If a DID URL has a fragment (e.g., it is the ID of a key), the DID
+  document is dereferenced to the verification method with that ID. DID
+  documents are cached as resolved, independent of the fragment. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// registered resolvers: DID method => {resolve}
+const _resolvers = new Map();
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(['dataHubDidCache']);
+
+  await promisify(database.createIndexes)([{
+    // cover cached DID document queries by DID
+    collection: 'dataHubDidCache',
+    fields: {id: 1},
+    options: {unique: true, background: false}
+  }, {
+    // expire cached DID documents
+    collection: 'dataHubDidCache',
+    fields: {'meta.expires': 1},
+    options: {
+      expireAfterSeconds: 0,
+      unique: false,
+      background: false
+    }
+  }]);
+});
+
+/**
+ * Registers a DID resolver for a DID method.
+ *
+ * @param {string} method the DID method, e.g., `web` for `did:web` DIDs.
+ * @param {Function} resolve an async function that is called with `{did}`
+ *   and that resolves to the DID document.
+ */
+api.register = ({method, resolve}) => {
+  assert.string(method, 'method');
+  assert.func(resolve, 'resolve');
+  if(_resolvers.has(method)) {
+    throw new Error(`A resolver for DID method "${method}" is already ` +
+      'registered.');
+  }
+  _resolvers.set(method, {resolve});
+};
+
+/**
+ * Resolves a DID to its DID document or dereferences a DID URL (e.g., the ID
+ * of a key) to the verification method it identifies. If resolving the DID
+ * is not allowed, a `NotAllowedError` is thrown.
+ *
+ * @param {string} url the DID or DID URL.
+ *
+ * @return {Promise<Object>} resolves to the DID document or verification
+ *   method.
+ */
+api.resolve = async ({url}) => {
+  assert.string(url, 'url');
+  const [did] = url.split('#');
+  const [scheme, method] = did.split(':');
+  const cfg = config['data-hub-storage'].didResolver;
+  const methodConfig = cfg.methods[method];
+  if(!(scheme === 'did' && methodConfig && _isAllowed({did, methodConfig}))) {
+    throw new BedrockError(
+      `Resolving DID "${did}" is not allowed.`,
+      'NotAllowedError', {public: true, httpStatusCode: 400, did});
+  }
+
+  const document = await _getDocument({did, method});
+  return url === did ? document : _dereference({document, url});
+};
+
+// register built-in resolvers
+api.register({
+  method: 'key',
+  resolve: async ({did}) => didKey.get({url: did})
+});
+
+async function _getDocument({did, method}) {
+  const cfg = config['data-hub-storage'].didResolver;
+  if(cfg.documents[did]) {
+    return cfg.documents[did];
+  }
+
+  const ttl = cfg.cacheTtl[method] || 0;
+  const id = database.hash(did);
+  if(ttl > 0) {
+    const record = await database.collections.dataHubDidCache.findOne(
+      {id, 'meta.expires': {$gt: new Date()}}, {_id: 0, document: 1});
+    if(record) {
+      return record.document;
+    }
+  }
+
+  const resolver = _resolvers.get(method);
+  if(!resolver) {
+    throw new BedrockError(
+      `No resolver is registered for DID method "${method}".`,
+      'NotSupportedError', {public: true, httpStatusCode: 400, did});
+  }
+  const document = await resolver.resolve({did});
+  if(ttl > 0) {
+    const now = Date.now();
+    await database.collections.dataHubDidCache.update({id}, {
+      $set: {
+        id,
+        meta: {created: now, expires: new Date(now + ttl)},
+        document
+      }
+    }, {...database.writeOptions, upsert: true});
+  }
+  return document;
+}
+
+function _dereference({document, url}) {
+  // verification methods may be listed or embedded in any of these
+  const properties = [
+    'publicKey', 'verificationMethod', 'authentication', 'assertionMethod',
+    'capabilityDelegation', 'capabilityInvocation', 'keyAgreement'
+  ];
+  for(const property of properties) {
+    const node = [].concat(document[property] || []).find(
+      vm => typeof vm === 'object' && vm.id === url);
+    if(node) {
+      // the verification method is expressed in its DID document's context
+      return document['@context'] ?
+        {'@context': document['@context'], ...node} : node;
+    }
+  }
+  throw new BedrockError(
+    `DID URL "${url}" not found in its DID document.`,
+    'NotFoundError', {public: true, httpStatusCode: 404, url});
+}
+
+function _isAllowed({did, methodConfig}) {
+  const {allow = null, deny = []} = methodConfig;
+  return (allow === null || allow.includes(did)) && !deny.includes(did);
+}
@@ -3,6 +3,8 @@
  */
 'use strict';
 
+const archive = require('./archive');
+const audit = require('./audit');
 const asyncHandler = require('express-async-handler');
 const base58 = require('bs58');
 const bedrock = require('bedrock');
@@ -12,15 +14,26 @@ const {config} = bedrock;
 const cors = require('cors');
 const crypto = require('crypto');
 const database = require('bedrock-mongodb');
-const jsigs = require('jsonld-signatures');
+const readline = require('readline');
 const {verifyCapabilityInvocation} = require('http-signature-zcap-verify');
+const batch = require('./batch');
+const changes = require('./changes');
+const logger = require('./logger');
+const notifications = require('./notifications');
+const rateLimits = require('./rateLimits');
+const revisions = require('./revisions');
+const revocations = require('./revocations');
 const storage = require('./storage');
+const suites = require('./suites');
+const transfers = require('./transfers');
+const usage = require('./usage');
+const zcaps = require('./zcaps');
+const {buildQuery} = require('./query');
+const {escapeRegExp, findPage} = require('./util');
 const {validate} = require('bedrock-validation');
+const {once} = require('events');
 const {promisify} = require('util');
 const getRandomBytes = promisify(crypto.randomBytes);
-const {extendContextLoader, SECURITY_CONTEXT_V2_URL} = jsigs;
-const {Ed25519Signature2018} = jsigs.suites;
-const {CapabilityDelegation} = require('ocapld');
 require('bedrock-express');
 const {
   ensureAuthenticated
@@ -38,11 +51,25 @@ module.exports = api;
 const routes = {
   dataHubs: '/data-hubs',
   dataHub: '/data-hubs/:dataHubId',
+  import: '/data-hubs/import',
+  export: '/data-hubs/:dataHubId/export',
+  audit: '/data-hubs/:dataHubId/audit',
+  usage: '/data-hubs/:dataHubId/usage',
   documents: '/data-hubs/:dataHubId/documents',
+  batch: '/data-hubs/:dataHubId/documents/batch',
   document: '/data-hubs/:dataHubId/documents/:docId',
   chunk: '/data-hubs/:dataHubId/documents/:docId/chunks/:chunkIndex',
+  revisions: '/data-hubs/:dataHubId/documents/:docId/revisions',
+  revision: '/data-hubs/:dataHubId/documents/:docId/revisions/:sequence',
+  restore: '/data-hubs/:dataHubId/documents/:docId/restore',
+  transfer: '/data-hubs/:dataHubId/documents/:docId/transfer',
+  transfers: '/data-hubs/:dataHubId/transfers',
+  changes: '/data-hubs/:dataHubId/changes',
+  events: '/data-hubs/:dataHubId/events',
+  documentEvents: '/data-hubs/:dataHubId/documents/:docId/events',
   query: '/data-hubs/:dataHubId/query',
   authorizations: '/data-hubs/:dataHubId/authorizations',
+  revocations: '/data-hubs/:dataHubId/revocations',
   zcaps: '/data-hubs/:dataHubId/zcaps'
 };
 
@@ -67,6 +94,9 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
   // of the standard (rather, only creating/deleting docs) -- really this
   // would then be implementation guidance
 
+  // Note: the storage used by each data hub is limited by configurable
+  // quotas, see `usage.js`
+
   // create a new data hub
   app.post(
     routes.dataHubs,
@@ -81,32 +111,99 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       res.status(201).location(id).json(config);
     }));
 
-  // get data hubs by query
+  // get data hubs by query: a lookup by `referenceId` responds with an array
+  // of the (at most one) matching data hub, as it always has; otherwise, the
+  // controller's data hubs are listed one page at a time and the response is
+  // `{results, hasMore, next}`
   app.get(
     routes.dataHubs,
     cors(),
     ensureAuthenticated,
-    // TODO: implement query validator
-    //validate('bedrock-data-hub-storage.foo'),
+    validate({query: 'bedrock-data-hub-storage.configQuery'}),
     asyncHandler(async (req, res) => {
       const {actor = null} = (req.user || {});
-      const {controller, referenceId} = req.query;
-      if(!controller) {
-        throw new BedrockError(
-          'Query not supported; a "controller" must be specified.',
-          'NotSupportedError', {public: true, httpStatusCode: 400});
+      const {
+        controller, referenceId, referenceIdPrefix,
+        sortBy = 'created', order = 'asc', cursor
+      } = req.query;
+      if(referenceId) {
+        // reference IDs are unique per controller, so no pagination is needed
+        // (the query schema rejects paging parameters)
+        const query = {'config.referenceId': referenceId};
+        const results = await storage.findConfig(
+          {actor, controller, query, fields: {_id: 0, config: 1}});
+        return res.json(results.map(r => r.config));
       }
-      if(!referenceId) {
-        // query for all data hubs controlled by controller not implemented yet
-        // TODO: implement
-        throw new BedrockError(
-          'Query not supported; a "referenceId" must be specified.',
-          'NotSupportedError', {public: true, httpStatusCode: 400});
+
+      // list all data hubs controlled by `controller`, one page at a time
+      const query = {};
+      if(referenceIdPrefix) {
+        query['config.referenceId'] = new RegExp(
+          '^' + escapeRegExp(referenceIdPrefix));
+      }
+      const {defaultLimit, maxLimit} = config['data-hub-storage'].dataHubQuery;
+      const limit = Math.min(
+        req.query.limit ? parseInt(req.query.limit, 10) : defaultLimit,
+        maxLimit);
+      const {records, hasMore, next} = await findPage({
+        find: args => storage.findConfig({actor, controller, ...args}),
+        query,
+        fields: {_id: 0, config: 1},
+        sortField: `meta.${sortBy}`,
+        order: order === 'asc' ? 1 : -1,
+        limit,
+        cursor
+      });
+      res.json({results: records.map(r => r.config), hasMore, next});
+    }));
+
+  // import a data hub from an NDJSON archive (see `archive.js`); registered
+  // before the data hub routes so that `import` is not treated as an ID
+  app.post(
+    routes.import,
+    ensureAuthenticated,
+    validate({query: 'bedrock-data-hub-storage.importQuery'}),
+    asyncHandler(async (req, res) => {
+      const {actor} = (req.user || {});
+      const id = req.query.id ? _getDataHubId(req.query.id) : undefined;
+      const dryRun = req.query.dryRun === 'true';
+      const summary = await archive.import(
+        {actor, id, entries: _parseNdjson(req), dryRun});
+      if(dryRun) {
+        return res.json(summary);
+      }
+      res.status(201).location(summary.id).json(summary);
+    }));
+
+  // export a data hub as an NDJSON archive (see `archive.js`)
+  app.get(
+    routes.export,
+    ensureAuthenticated,
+    asyncHandler(async (req, res) => {
+      const {actor = null} = (req.user || {});
+      const id = _getDataHubId(req.params.dataHubId);
+      const entries = archive.export({actor, id});
+      // get the first entry before responding so that errors (e.g., not
+      // found or permission denied) are reported normally
+      let next = await entries.next();
+      res.status(200).set({
+        'content-type': 'application/x-ndjson',
+        'content-disposition':
+          `attachment; filename="${req.params.dataHubId}.ndjson"`
+      });
+      try {
+        while(!next.done) {
+          if(!res.write(JSON.stringify(next.value) + '\n')) {
+            await once(res, 'drain');
+          }
+          next = await entries.next();
+        }
+      } catch(e) {
+        // the response has started, so abort it to signal the failure
+        logger.error('Could not export data hub.', {error: e});
+        return res.destroy();
       }
-      const query = {'config.referenceId': referenceId};
-      const results = await storage.findConfig(
-        {actor, controller, query, fields: {_id: 0, config: 1}});
-      res.json(results.map(r => r.config));
+      res.end();
     }));
 
   // update a config
@@ -145,6 +242,94 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       res.json(config);
     }));
 
+  // delete a data hub and all of its documents, chunks, and authorizations
+  app.delete(
+    routes.dataHub,
+    ensureAuthenticated,
+    asyncHandler(async (req, res) => {
+      const {actor} = (req.user || {});
+      const id = _getDataHubId(req.params.dataHubId);
+      const removed = await storage.removeConfig({actor, id});
+      if(removed) {
+        res.status(204).end();
+      } else {
+        res.status(404).end();
+      }
+    }));
+
+  // get the storage used by a data hub; authorized via a capability
+  // invocation if one is present, otherwise via the data hub config
+  // permissions of the authenticated account
+  app.options(routes.usage, cors());
+  app.get(
+    routes.usage,
+    cors(),
+    (req, res, next) => next(_isCapabilityInvocation(req) ? null : 'route'),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const expectedTarget = `${dataHubId}/usage`;
+      const expectedRootCapability = `${dataHubId}/zcaps/usage`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+      res.json(await _getUsage({dataHubId}));
+    }));
+  app.get(
+    routes.usage,
+    cors(),
+    ensureAuthenticated,
+    asyncHandler(async (req, res) => {
+      const {actor = null} = (req.user || {});
+      const id = _getDataHubId(req.params.dataHubId);
+      // check permission to access the data hub config
+      await storage.getConfig({actor, id});
+      res.json(await _getUsage({dataHubId: id}));
+    }));
+
+  // get the audit log of the capability invocations on a data hub
+  app.get(
+    routes.audit,
+    cors(),
+    validate({query: 'bedrock-data-hub-storage.auditQuery'}),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const expectedTarget = `${dataHubId}/audit`;
+      const expectedRootCapability = `${dataHubId}/zcaps/audit`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+
+      const {start, end, cursor} = req.query;
+      const query = {};
+      if(start || end) {
+        query['meta.created'] = {};
+        if(start) {
+          query['meta.created'].$gte = Date.parse(start);
+        }
+        if(end) {
+          query['meta.created'].$lt = Date.parse(end);
+        }
+      }
+      const {defaultLimit, maxLimit} = config['data-hub-storage'].audit;
+      const limit = Math.min(
+        req.query.limit ? parseInt(req.query.limit, 10) : defaultLimit,
+        maxLimit);
+      const {records, hasMore, next} = await findPage({
+        find: args => audit.find({dataHubId, ...args}),
+        query,
+        fields: {_id: 0, id: 1, meta: 1, event: 1},
+        sortField: 'meta.created',
+        limit,
+        cursor
+      });
+      const results = records.map(({meta, event}) => ({
+        ...event, date: new Date(meta.created).toISOString()
+      }));
+      res.json({results, hasMore, next});
+    }));
+
   // get a root capability for a data hub resource
   app.get(
     routes.zcaps,
@@ -153,7 +338,7 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       // compute invocation target
       const id = `${baseUri}/${req.originalUrl}`;
       // dynamically generate root capability for target
-      const zcap = await _generateRootCapability(id);
+      const zcap = await zcaps.generateRootCapability({url: id});
       if(!zcap) {
         // invalid root zcap ID
         throw new BedrockError(
@@ -186,6 +371,33 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       res.status(201).location(location).end();
     }));
 
+  // run a batch of document operations; registered before the document
+  // routes so that `batch` is not treated as a document ID
+  app.options(routes.batch, cors());
+  app.post(
+    routes.batch,
+    // CORs is safe because authorization uses HTTP signatures + capabilities,
+    // not cookies
+    cors(),
+    validate('bedrock-data-hub-storage.batch'),
+    asyncHandler(async (req, res) => {
+      // check authorization; a single capability to write to the documents
+      // collection authorizes all of the operations
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const expectedTarget = `${dataHubId}/documents`;
+      const expectedRootCapability = `${dataHubId}/zcaps/documents`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'write'
+      });
+
+      const {operations, rollback = false} = req.body;
+      for(const operation of operations) {
+        _assert128BitId(operation.doc ? operation.doc.id : operation.id);
+      }
+      const result = await batch.write({dataHubId, operations, rollback});
+      res.json(result);
+    }));
+
   // update a document
   app.options(routes.document, cors());
   app.post(
@@ -211,14 +423,18 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           'Could not update document; ID does not match.',
           'DataError', {public: true, httpStatusCode: 400});
       }
+      await _checkIfMatch({req, getETag: async () => {
+        const {doc} = await storage.get({dataHubId, id});
+        return _getETag(doc.sequence);
+      }});
       await storage.update({dataHubId, doc: req.body});
-      res.status(204).end();
+      res.status(204).set('etag', _getETag(req.body.sequence)).end();
     }));
 
   // get a document
   app.get(
     routes.document,
-    cors(),
+    cors({exposedHeaders: 'ETag'}),
     asyncHandler(async (req, res) => {
       // check authorization
       const {docId: id} = req.params;
@@ -232,6 +448,11 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       });
 
       const {doc} = await storage.get({dataHubId, id});
+      const etag = _getETag(doc.sequence);
+      res.set('etag', etag);
+      if(_matchesETag({header: req.get('if-none-match'), etag})) {
+        return res.status(304).end();
+      }
 
       // TODO: need to determine how to filter the recipients to include
       // in the JWE (use specified recipient key in the JWE or invoker ID
@@ -258,7 +479,13 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         req, expectedTarget, expectedRootCapability, expectedAction: 'write'
       });
 
-      const removed = await storage.remove({dataHubId, id});
+      let sequence;
+      await _checkIfMatch({req, getETag: async () => {
+        const {doc} = await storage.get({dataHubId, id});
+        ({sequence} = doc);
+        return _getETag(sequence);
+      }});
+      const removed = await storage.remove({dataHubId, id, sequence});
       if(removed) {
         res.status(204).end();
       } else {
@@ -266,59 +493,241 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       }
     }));
 
+  // restore a deleted document
+  app.post(
+    routes.restore,
+    cors(),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const {docId: id} = req.params;
+      _assert128BitId(id);
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const docPath = `/documents/${id}`;
+      const expectedTarget = `${dataHubId}${docPath}`;
+      const expectedRootCapability = `${dataHubId}/zcaps${docPath}`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'write'
+      });
+
+      const restored = await storage.restore({dataHubId, id});
+      if(restored) {
+        res.status(204).end();
+      } else {
+        res.status(404).end();
+      }
+    }));
+
+  // create a transfer to copy (or move) a document to another data hub
+  app.post(
+    routes.transfer,
+    cors(),
+    validate('bedrock-data-hub-storage.transfer'),
+    asyncHandler(async (req, res) => {
+      // check authorization; the source document is always read and moving
+      // also requires permission to remove it
+      const {docId} = req.params;
+      _assert128BitId(docId);
+      const {move = false} = req.body;
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const docPath = `/documents/${docId}`;
+      const expectedTarget = `${dataHubId}${docPath}`;
+      const expectedRootCapability = `${dataHubId}/zcaps${docPath}`;
+      const {invoker} = await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read',
+        additionalActions: move ? ['write'] : [],
+        routeClass: move ? 'write' : 'read'
+      });
+
+      // ensure the document exists before creating the transfer
+      await storage.get({dataHubId, id: docId});
+      const {id, expires} = await transfers.create(
+        {dataHubId, docId, invoker, move});
+      res.status(201).json({id, expires: expires.toISOString()});
+    }));
+
+  // redeem a transfer to copy (or move) a document into a data hub
+  app.post(
+    routes.transfers,
+    cors(),
+    validate('bedrock-data-hub-storage.transferRedemption'),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const expectedTarget = `${dataHubId}/documents`;
+      const expectedRootCapability = `${dataHubId}/zcaps/documents`;
+      const {invoker} = await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'write'
+      });
+
+      // the transfer must have been created by the same invoker
+      const {dataHubId: sourceDataHubId, docId, move} = await transfers.redeem(
+        {id: req.body.transfer, invoker});
+      const {doc} = await storage.copy(
+        {sourceDataHubId, id: docId, targetDataHubId: dataHubId, move});
+      const location = `${dataHubId}/documents/${doc.id}`;
+      res.status(201).location(location).end();
+    }));
+
+  // get the retained revisions of a document
+  app.get(
+    routes.revisions,
+    cors(),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const {docId: id} = req.params;
+      _assert128BitId(id);
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const docPath = `/documents/${id}`;
+      const expectedTarget = `${dataHubId}${docPath}`;
+      const expectedRootCapability = `${dataHubId}/zcaps${docPath}`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+
+      const results = await revisions.find({dataHubId, id});
+      res.json(results.map(({sequence, meta}) => ({
+        id,
+        sequence,
+        replaced: new Date(meta.created).toISOString()
+      })));
+    }));
+
+  // get a document revision
+  app.get(
+    routes.revision,
+    cors(),
+    asyncHandler(async (req, res) => {
+      // validate `sequence` and check authorization
+      const {docId: id} = req.params;
+      _assert128BitId(id);
+      const sequence = parseInt(req.params.sequence, 10);
+      if(!(sequence >= 0 && String(sequence) === req.params.sequence)) {
+        // invalid sequence, report not found
+        throw new BedrockError(
+          'Data hub document revision not found.',
+          'NotFoundError', {
+            doc: id, sequence: req.params.sequence,
+            httpStatusCode: 404, public: true
+          });
+      }
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const docPath = `/documents/${id}`;
+      const expectedTarget = `${dataHubId}${docPath}`;
+      const expectedRootCapability = `${dataHubId}/zcaps${docPath}`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+
+      const {doc} = await revisions.get({dataHubId, id, sequence});
+      res.json(doc);
+    }));
+
+  // get the changes to the documents in a data hub since a cursor
+  app.get(
+    routes.changes,
+    cors(),
+    validate({query: 'bedrock-data-hub-storage.changesQuery'}),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const expectedTarget = `${dataHubId}/changes`;
+      const expectedRootCapability = `${dataHubId}/zcaps/changes`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+
+      const since = req.query.since ? parseInt(req.query.since, 10) : 0;
+      const {defaultLimit, maxLimit} = config['data-hub-storage'].changes;
+      const limit = Math.min(
+        req.query.limit ? parseInt(req.query.limit, 10) : defaultLimit,
+        maxLimit);
+      const {records, hasMore} = await changes.find({dataHubId, since, limit});
+      const results = records.map(_formatChange);
+      const next = results.length > 0 ?
+        results[results.length - 1].cursor : since;
+      res.json({results, hasMore, next});
+    }));
+
+  // stream changes to the documents in a data hub as server-sent events
+  app.get(
+    routes.events,
+    cors(),
+    validate({query: 'bedrock-data-hub-storage.eventsQuery'}),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const expectedTarget = `${dataHubId}/changes`;
+      const expectedRootCapability = `${dataHubId}/zcaps/changes`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+
+      await _streamEvents({req, res, dataHubId});
+    }));
+
+  // stream changes to a document as server-sent events
+  app.get(
+    routes.documentEvents,
+    cors(),
+    validate({query: 'bedrock-data-hub-storage.eventsQuery'}),
+    asyncHandler(async (req, res) => {
+      // check authorization
+      const {docId} = req.params;
+      _assert128BitId(docId);
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const docPath = `/documents/${docId}`;
+      const expectedTarget = `${dataHubId}${docPath}`;
+      const expectedRootCapability = `${dataHubId}/zcaps${docPath}`;
+      await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+      });
+
+      await _streamEvents({req, res, dataHubId, docId});
+    }));
+
   // query for documents
   app.post(
     routes.query,
     cors(),
+    validate('bedrock-data-hub-storage.query'),
     asyncHandler(async (req, res) => {
       // check authorization
       const dataHubId = _getDataHubId(req.params.dataHubId);
       const expectedTarget = `${dataHubId}/query`;
       const expectedRootCapability = `${dataHubId}/zcaps/query`;
       await _authorize({
-        req, expectedTarget, expectedRootCapability, expectedAction: 'read'
+        req, expectedTarget, expectedRootCapability, expectedAction: 'read',
+        routeClass: 'query'
       });
 
-      const {index, equals, has} = req.body;
-      // TODO: database.hash() hmac IDs here and in `storage`?
-      let query = {'doc.indexed.hmac.id': index};
-      if(equals) {
-        const $or = [];
-        const allStrings = equals.every(e => {
-          const $all = [];
-          for(const key in e) {
-            if(typeof e[key] !== 'string') {
-              return false;
-            }
-            $all.push({$elemMatch: {name: key, value: e[key]}});
-          }
-          $or.push({
-            ...query,
-            'doc.indexed.attributes': {
-              $all
-            }
-          });
-          return true;
-        });
-        query = {$or};
-        if(!allStrings) {
-          throw new BedrockError(
-            'Invalid "equals" query; each array element must be an object ' +
-            'with keys that have values that are strings.',
-            'DataError', {public: true, httpStatusCode: 400});
-        }
-      } else {
-        // `has` query
-        query['doc.indexed.attributes.name'] = {$all: has};
+      const {cursor, returnType = 'documents'} = req.body;
+      const query = buildQuery(req.body);
+
+      if(returnType === 'count') {
+        const count = await storage.find({dataHubId, query, returnType});
+        return res.json({count});
       }
-      const results = await storage.find(
-        {dataHubId, query, fields: {_id: 0, doc: 1}});
 
-      // TODO: need to determine how to filter the recipients to include
-      // in the JWE (use specified recipient key in the JWE or invoker ID
-      // somehow) ... or change this API to return only doc IDs
+      const {defaultLimit, maxLimit} = config['data-hub-storage'].documentQuery;
+      const limit = Math.min(req.body.limit || defaultLimit, maxLimit);
+      const {records, hasMore, next} = await findPage({
+        find: args => storage.find({dataHubId, ...args, returnType}),
+        query,
+        fields: {_id: 0, doc: 1},
+        limit,
+        cursor
+      });
 
-      res.json(results.map(r => r.doc));
+      let results;
+      if(returnType === 'ids') {
+        results = records.map(({doc: {id, sequence}}) => ({id, sequence}));
+      } else {
+        // TODO: need to determine how to filter the recipients to include
+        // in the JWE (use specified recipient key in the JWE or invoker ID
+        // somehow)
+        results = records.map(r => r.doc);
+      }
+      res.json({results, hasMore, next});
     }));
 
   // store a document chunk
@@ -346,28 +755,25 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
           'Could not update document chunk; ID does not match.',
           'DataError', {public: true, httpStatusCode: 400});
       }*/
-      await storage.updateChunk({dataHubId, docId, chunk: req.body});
-      res.status(204).end();
+      const chunkIndex = req.body.index;
+      await _checkIfMatch({req, getETag: async () => _getChunkETag(
+        await storage.getChunk(
+          {dataHubId, docId, chunkIndex, includeCiphertext: false}))});
+      const {payload} = await storage.updateChunk(
+        {dataHubId, docId, chunk: req.body});
+      res.status(204).set('etag', _getChunkETag({chunk: req.body, payload}))
+        .end();
     }));
 
   // get a document chunk
   app.get(
     routes.chunk,
-    cors(),
+    cors({exposedHeaders: 'ETag'}),
     asyncHandler(async (req, res) => {
       // validate `chunkIndex` and check authorization
       const {docId} = req.params;
       _assert128BitId(docId);
-      let {chunkIndex} = req.params;
-      try {
-        chunkIndex = parseInt(chunkIndex, 10);
-      } catch(e) {
-        // invalid chunk index, report not found
-        throw new BedrockError(
-          'Data hub document chunk not found.',
-          'NotFoundError',
-          {document: docId, chunkIndex, httpStatusCode: 404, public: true});
-      }
+      const chunkIndex = _parseChunkIndex(req.params);
       const dataHubId = _getDataHubId(req.params.dataHubId);
       const docPath = `/documents/${docId}`;
       const expectedTarget = `${dataHubId}${docPath}`;
@@ -376,6 +782,13 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         req, expectedTarget, expectedRootCapability, expectedAction: 'read'
       });
 
+      // check the ETag before reading the (potentially large) ciphertext
+      const etag = _getChunkETag(await storage.getChunk(
+        {dataHubId, docId, chunkIndex, includeCiphertext: false}));
+      res.set('etag', etag);
+      if(_matchesETag({header: req.get('if-none-match'), etag})) {
+        return res.status(304).end();
+      }
       const {chunk} = await storage.getChunk({dataHubId, docId, chunkIndex});
 
       // TODO: need to determine how to filter the recipients to include
@@ -392,9 +805,10 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
     // not cookies
     cors(),
     asyncHandler(async (req, res) => {
-      // check authorization
-      const {docId, chunkIndex} = req.params;
+      // validate `chunkIndex` and check authorization
+      const {docId} = req.params;
       _assert128BitId(docId);
+      const chunkIndex = _parseChunkIndex(req.params);
       const dataHubId = _getDataHubId(req.params.dataHubId);
       const docPath = `/documents/${docId}`;
       const expectedTarget = `${dataHubId}${docPath}`;
@@ -403,7 +817,10 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         req, expectedTarget, expectedRootCapability, expectedAction: 'write'
       });
 
-      const removed = await storage.remove({dataHubId, docId, chunkIndex});
+      await _checkIfMatch({req, getETag: async () => _getChunkETag(
+        await storage.getChunk(
+          {dataHubId, docId, chunkIndex, includeCiphertext: false}))});
+      const removed = await storage.removeChunk({dataHubId, docId, chunkIndex});
       if(removed) {
         res.status(204).end();
       } else {
@@ -432,7 +849,7 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       // verify CapabilityDelegation before storing zcap
       const controller = invoker;
       const capability = req.body;
-      await _verifyDelegation({dataHubId, controller, capability});
+      await zcaps.verifyDelegation({dataHubId, controller, capability});
       await brZCapStorage.authorizations.insert({controller, capability});
       res.status(204).end();
     }));
@@ -503,95 +920,82 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
         res.status(404).end();
       }
     }));
-});
-
-// TODO: some of the following code is a target for reusability in other
-// modules and should be factored out for reuse
 
-// Note: for dereferencing `did:key` URLs
-const DOCUMENT_LOADER = async url => {
-  // TODO: move to did-key lib
-  if(url.startsWith('did:key:')) {
-    const publicKeyBase58 = _parsePublicKeyBase58(url);
-    return {
-      contextUrl: null,
-      documentUrl: url,
-      document: {
-        '@context': SECURITY_CONTEXT_V2_URL,
-        id: url,
-        publicKey: [{
-          id: url,
-          // TODO: determine from parsing multibase key
-          type: 'Ed25519VerificationKey2018',
-          controller: url,
-          publicKeyBase58
-        }],
-        authentication: [url],
-        assertionMethod: [url],
-        capabilityDelegation: [url],
-        capabilityInvocation: [url]
+  // revoke a delegated capability
+  app.options(routes.revocations, cors());
+  app.post(
+    routes.revocations,
+    // CORs is safe because authorization uses HTTP signatures + capabilities,
+    // not cookies
+    cors(),
+    validate('bedrock-data-hub-storage.delegatedZcap'),
+    asyncHandler(async (req, res) => {
+      const dataHubId = _getDataHubId(req.params.dataHubId);
+      const capability = req.body;
+      const {invocationTarget} = capability;
+      const target = typeof invocationTarget === 'string' ?
+        invocationTarget : invocationTarget.id;
+      if(!target.startsWith(`${dataHubId}/`)) {
+        throw new BedrockError(
+          'Only capabilities for the data hub may be revoked.',
+          'NotAllowedError', {
+            public: true,
+            httpStatusCode: 400,
+            invocationTarget: target
+          });
       }
-    };
-  }
-  const error = new Error(`Dereferencing url "${url}" is prohibited.`);
-  error.name = 'NotAllowedError';
-  error.httpStatusCode = 400;
-  throw error;
-};
 
-async function _verifyDelegation({dataHubId, controller, capability}) {
-  // `delegatedBy` must be a root delegator; it is not permitted to delegate
-  // storing delegated capabilities
-  const {config} = await storage.getConfig({actor: null, id: dataHubId});
-  let delegator = config.delegator || config.controller;
-  if(!Array.isArray(delegator)) {
-    delegator = [delegator];
-  }
-  if(!delegator.includes(controller)) {
-    throw new BedrockError(
-      'Delegated capabilities may only be stored by a root delegator.',
-      'NotAllowedError', {
-        public: true,
-        httpStatusCode: 400,
-        controller,
-        delegator
+      const expectedTarget = `${dataHubId}/revocations`;
+      const expectedRootCapability = `${dataHubId}/zcaps/revocations`;
+      const {invoker} = await _authorize({
+        req, expectedTarget, expectedRootCapability, expectedAction: 'write',
+        // any delegator in the capability's (verified) delegation chain may
+        // revoke it; the chain is verified after the request is rate limited
+        // and a failure to verify it is audited like any other denial
+        getRootInvokers: async () => {
+          const {delegators} = await zcaps.verifyCapabilityChain(
+            {dataHubId, capability});
+          return delegators;
+        }
       });
-  }
 
-  const documentLoader = extendContextLoader(async url => {
-    // dynamically generate zcap for root capability if applicable
-    const zcap = await _generateRootCapability(url);
-    if(zcap) {
-      return {
-        contextUrl: null,
-        documentUrl: url,
-        document: zcap
-      };
-    }
-    return DOCUMENT_LOADER(url);
-  });
+      await revocations.insert({dataHubId, capability, delegator: invoker});
+      res.status(204).end();
+    }));
+});
 
-  const {verified, error} = await jsigs.verify(capability, {
-    suite: new Ed25519Signature2018(),
-    purpose: new CapabilityDelegation({
-      suite: new Ed25519Signature2018()
-    }),
-    documentLoader,
-    compactProof: false
-  });
-  if(!verified) {
-    throw error;
-  }
-}
+// TODO: some of the following code is a target for reusability in other
+// modules and should be factored out for reuse
 
 async function _authorize({
-  req, expectedTarget, expectedRootCapability, expectedAction
+  req, expectedTarget, expectedRootCapability, expectedAction,
+  additionalActions = [], routeClass = expectedAction,
+  getRootInvokers = async () => []
 }) {
+  // rate limit requests from the client before doing any verification work;
+  // the data hub's limits are only charged for verified requests so that
+  // unauthorized clients cannot exhaust them
+  const {dataHubId} = zcaps.getInvocationTarget({url: expectedRootCapability});
+  await _rateLimit({req, routeClass, client: req.ip});
+
+  // any invokers given by `getRootInvokers` may also invoke the expected
+  // root capability
+  let rootInvokers = [];
+  const generateRootCapability = async url => {
+    const zcap = await zcaps.generateRootCapability({url});
+    if(zcap && url === expectedRootCapability && rootInvokers.length > 0) {
+      zcap.invoker = [
+        ...[].concat(zcap.invoker || zcap.controller), ...rootInvokers
+      ];
+    }
+    return zcap;
+  };
+
   // wrap document loader to always generate root zcap from config
   // description in storage
   const wrappedDocumentLoader = async url => {
     // dynamically generate zcap for root capability if applicable
-    const zcap = await _generateRootCapability(url);
+    const zcap = await generateRootCapability(url);
     if(zcap) {
       return {
         contextUrl: null,
@@ -599,38 +1003,74 @@ async function _authorize({
         document: zcap
       };
     }
-    return DOCUMENT_LOADER(url);
+    return zcaps.documentLoader(url);
   };
 
   const url = `${config.server.baseUri}${req.originalUrl}`;
   const {method, headers} = req;
-  const result = await verifyCapabilityInvocation({
-    url, method, headers,
-    getInvokedCapability,
-    documentLoader: wrappedDocumentLoader,
-    expectedHost: config.server.host,
-    expectedTarget, expectedRootCapability, expectedAction,
-    // TODO: support RsaSignature2018 and other suites?
-    suite: [new Ed25519Signature2018()]
-  });
-  if(!result.verified) {
-    throw new BedrockError(
-      'Permission denied.', 'NotAllowedError', {
-        httpStatusCode: 400,
-        public: true
-      }, result.error);
+  const event = {req, dataHubId, expectedTarget, expectedAction};
+  let result;
+  try {
+    rootInvokers = await getRootInvokers();
+    result = await verifyCapabilityInvocation({
+      url, method, headers,
+      getInvokedCapability: options => getInvokedCapability(
+        {...options, dataHubId, generateRootCapability}),
+      // no capability in the delegation chain may be revoked and every
+      // capability must also allow any `additionalActions`
+      inspectCapabilityChain: ({capabilityChain}) =>
+        zcaps.inspectCapabilityChain(
+          {dataHubId, capabilityChain, additionalActions}),
+      documentLoader: wrappedDocumentLoader,
+      expectedHost: config.server.host,
+      expectedTarget, expectedRootCapability, expectedAction,
+      suite: suites.get({purpose: 'invocation'})
+    });
+    if(!result.verified) {
+      throw new BedrockError(
+        'Permission denied.', 'NotAllowedError', {
+          httpStatusCode: 400,
+          public: true
+        }, result.error);
+    }
+    await _rateLimit({req, routeClass, dataHubId, invoker: result.invoker});
+  } catch(e) {
+    // do not let a failure to record the denial hide its reason
+    await _audit({...event, invoker: result && result.invoker, error: e})
+      .catch(error => logger.error(
+        'Could not record capability invocation.', {error}));
+    throw e;
   }
+  // a verified capability's delegation chain is rooted in the expected root
+  // capability
+  await _audit({
+    ...event, invoker: result.invoker,
+    rootCapability: expectedRootCapability
+  });
   return {
     valid: result.verified,
     ...result
   };
 }
 
-async function getInvokedCapability({id, expectedTarget}) {
+async function _rateLimit({req, ...options}) {
+  try {
+    await rateLimits.consume(options);
+  } catch(e) {
+    if(e.name === 'RateLimitExceededError') {
+      req.res.set('retry-after', String(e.details.retryAfter));
+    }
+    throw e;
+  }
+}
+
+async function getInvokedCapability({
+  id, expectedTarget, dataHubId, generateRootCapability
+}) {
   // if the capability is a root zcap generated by this server then its
   // `id` will map to an invocation target; if so, dynamically generate the
   // zcap as it is the root authority which is automatically authorized
-  const zcap = await _generateRootCapability(id);
+  const zcap = await generateRootCapability(id);
   if(zcap) {
     return zcap;
   }
@@ -641,6 +1081,16 @@ async function getInvokedCapability({id, expectedTarget}) {
       id,
       invocationTarget: expectedTarget
     });
+    if(await revocations.isRevoked(
+      {dataHubId, capabilities: [authorization.capability]})) {
+      throw new BedrockError(
+        'The capability has been revoked.',
+        'NotAllowedError', {
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+    zcaps.assertValidityWindow({capability: authorization.capability});
     return authorization.capability;
   } catch(e) {
     if(e.name === 'NotFoundError') {
@@ -654,74 +1104,226 @@ async function getInvokedCapability({id, expectedTarget}) {
   }
 }
 
-function _parsePublicKeyBase58(didKeyUrl) {
-  const fingerprint = didKeyUrl.substr('did:key:'.length);
-  // skip leading `z` that indicates base58 encoding
-  const buffer = base58.decode(fingerprint.substr(1));
-  // assume buffer is: 0xed 0x01 <public key bytes>
-  return base58.encode(buffer.slice(2));
+async function _audit({
+  req, dataHubId, expectedTarget, expectedAction, invoker = null,
+  rootCapability = null, error
+}) {
+  const event = {
+    invoker,
+    // the key ID and capability ID claimed by the request, which may not
+    // have been verified
+    keyId: _getHeaderParameter(req.get('authorization'), 'keyId'),
+    capability: _getHeaderParameter(req.get('capability-invocation'), 'id'),
+    rootCapability,
+    action: expectedAction,
+    target: expectedTarget,
+    method: req.method,
+    result: error ? 'denied' : 'allowed'
+  };
+  if(error) {
+    const reason = error.cause || error;
+    event.error = {type: reason.name, message: reason.message};
+  }
+  await audit.insert({dataHubId, event});
 }
 
-async function _generateRootCapability(url) {
-  const result = _getInvocationTarget(url);
-  if(!result) {
-    return null;
+function _getHeaderParameter(header, name) {
+  // get a quoted parameter from a header like the `authorization` header of
+  // an HTTP signature, e.g., `keyId="..."`
+  const match = new RegExp(`(?:^|[\\s,])${name}="([^"]*)"`).exec(header || '');
+  return match ? match[1] : null;
+}
+
+function _isCapabilityInvocation(req) {
+  return req.get('capability-invocation') !== undefined;
+}
+
+async function _getUsage({dataHubId}) {
+  const {lastModified, ...result} = await usage.get({dataHubId});
+  result.lastModified = lastModified && new Date(lastModified).toISOString();
+  return result;
+}
+
+async function* _parseNdjson(stream) {
+  const lines = readline.createInterface({input: stream, crlfDelay: Infinity});
+  for await (const line of lines) {
+    if(line.trim() === '') {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch(e) {
+      throw new BedrockError(
+        'Data hub archive entries must be valid JSON.',
+        'DataError', {public: true, httpStatusCode: 400}, e);
+    }
   }
-  const {target, dataHubId} = result;
+}
 
-  // dynamically generate zcap for root capability
-  const {config} = await storage.getConfig({actor: null, id: dataHubId});
-  return {
-    '@context': SECURITY_CONTEXT_V2_URL,
-    id: url,
-    invocationTarget: target,
-    controller: config.controller,
-    invoker: config.invoker,
-    delegator: config.delegator
-  };
+// ETags are derived from document sequences
+function _getETag(sequence) {
+  return `"${sequence}"`;
 }
 
-function _getInvocationTarget(url) {
-  // look for `/data-hubs/<dataHubId>/zcaps/`
-  const {baseUri} = config.server;
-  const baseStorageUrl = `${baseUri}${routes.dataHubs}/`;
-  let idx = url.indexOf(baseStorageUrl);
-  if(idx !== 0) {
-    return null;
+// chunks may be rewritten at the same sequence (e.g., to retry a failed
+// upload), so their ETags also include the ID of the payload that stores
+// their ciphertext; it changes on every write (chunks that have not been
+// migrated to a chunk store have no payload)
+function _getChunkETag({chunk, payload}) {
+  if(!payload) {
+    return _getETag(chunk.sequence);
   }
+  return `"${chunk.sequence}-${payload.id}"`;
+}
 
-  // skip data hub ID
-  const dataHubIdIdx = baseStorageUrl.length;
-  idx = url.indexOf('/', dataHubIdIdx);
-  if(idx === -1) {
-    return null;
+function _matchesETag({header, etag, weak = true}) {
+  if(!header) {
+    return false;
   }
-  const dataHubId = `${baseStorageUrl}${url.substring(dataHubIdIdx, idx)}`;
+  if(header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').some(value => {
+    value = value.trim();
+    if(value.startsWith('W/')) {
+      // weak ETags only match in weak comparisons (`If-None-Match`)
+      if(!weak) {
+        return false;
+      }
+      value = value.substr(2);
+    }
+    return value === etag;
+  });
+}
 
-  // skip `zcaps`
-  idx = url.indexOf('zcaps/', idx + 1);
-  if(idx === -1) {
-    return null;
+// throws a `PreconditionFailedError` if the request has an `If-Match` header
+// that does not match the current ETag of the resource
+async function _checkIfMatch({req, getETag}) {
+  const header = req.get('if-match');
+  if(header === undefined) {
+    return;
   }
+  let etag;
+  try {
+    etag = await getETag();
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  // `If-Match` never matches a resource that does not exist
+  if(etag === undefined || !_matchesETag({header, etag, weak: false})) {
+    throw new BedrockError(
+      'Precondition failed; the resource has been changed.',
+      'PreconditionFailedError', {
+        httpStatusCode: 412,
+        public: true,
+        etag: etag || null
+      });
+  }
+}
 
-  // valid root zcap invocation targets:
-  // `/data-hubs/<dataHubId>/documents`
-  // `/data-hubs/<dataHubId>/query`
-  // `/data-hubs/<dataHubId>/authorizations`
-  // root `/data-hubs/<dataHubId>/documents/...`
-  const path = url.substr(idx + 6 /* 'zcaps/'.length */);
-  if(!(['documents', 'query', 'authorizations'].includes(path) ||
-    (path.startsWith('documents/') && path.length > 10))) {
-    return null;
+function _parseChunkIndex({docId, chunkIndex}) {
+  const index = parseInt(chunkIndex, 10);
+  if(!(index >= 0 && String(index) === chunkIndex)) {
+    // invalid chunk index, report not found
+    throw new BedrockError(
+      'Data hub document chunk not found.',
+      'NotFoundError',
+      {document: docId, chunkIndex, httpStatusCode: 404, public: true});
   }
+  return index;
+}
 
-  // return invocation target for the given root zcap URL
+function _formatChange({cursor, meta, change}) {
   return {
-    target: `${dataHubId}/${path}`,
-    dataHubId
+    cursor,
+    type: change.type,
+    id: change.id,
+    sequence: change.sequence,
+    changed: new Date(meta.created).toISOString()
   };
 }
 
+async function _streamEvents({req, res, dataHubId, docId}) {
+  // resume after the last event the client received, if any, otherwise
+  // start after `since` or the most recent change
+  let since;
+  const lastEventId = req.get('last-event-id');
+  if(lastEventId && /^(0|[1-9][0-9]*)$/.test(lastEventId)) {
+    since = parseInt(lastEventId, 10);
+  } else if(req.query.since) {
+    since = parseInt(req.query.since, 10);
+  } else {
+    since = await changes.getCursor({dataHubId});
+  }
+  // document ciphertext is only sent if the client opts in
+  const includeDoc = req.query.includeDoc === 'true';
+
+  res.status(200).set({
+    'cache-control': 'no-cache',
+    'content-type': 'text/event-stream',
+    connection: 'keep-alive'
+  });
+  _writeEvent({res, data: ': connected\n\n'});
+
+  // write events in cursor order even if fetching documents takes a while
+  let queue = Promise.resolve();
+  const unsubscribe = notifications.subscribe({
+    dataHubId,
+    since,
+    listener: record => {
+      if(docId && record.change.id !== docId) {
+        return;
+      }
+      queue = queue.then(async () => {
+        const event = _formatChange(record);
+        if(includeDoc && event.type !== 'delete') {
+          const doc = await _getChangedDoc({dataHubId, change: record.change});
+          if(doc) {
+            event.doc = doc;
+          }
+        }
+        _writeEvent({
+          res,
+          data: `id: ${event.cursor}\nevent: change\n` +
+            `data: ${JSON.stringify(event)}\n\n`
+        });
+      }).catch(e => logger.error(
+        'Could not send data hub change event.', {error: e}));
+    }
+  });
+
+  const {heartbeatInterval} = config['data-hub-storage'].notifications;
+  const heartbeat = setInterval(
+    () => _writeEvent({res, data: ': heartbeat\n\n'}), heartbeatInterval);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+async function _getChangedDoc({dataHubId, change}) {
+  try {
+    const {doc} = await storage.get({dataHubId, id: change.id});
+    // if the document has changed again, a later event will include it
+    return doc.sequence === change.sequence ? doc : null;
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    return null;
+  }
+}
+
+function _writeEvent({res, data}) {
+  res.write(data);
+  // send right away even if the response is compressed
+  if(typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
 async function _generateRandom() {
   // 128-bit random number, multibase encoded
   // 0x00 = identity tag, 0x10 = length (16 bytes)
@@ -6,4 +6,20 @@
 require('./http');
 
 // module API
-module.exports = require('./storage');
+const api = module.exports = require('./storage');
+api.archive = require('./archive');
+api.audit = require('./audit');
+api.batch = require('./batch');
+api.changes = require('./changes');
+api.chunkCollector = require('./chunkCollector');
+api.chunkStore = require('./chunkStore');
+api.didKey = require('./didKey');
+api.didResolver = require('./didResolver');
+api.notifications = require('./notifications');
+api.rateLimits = require('./rateLimits');
+api.revisions = require('./revisions');
+api.revocations = require('./revocations');
+api.suites = require('./suites');
+api.tombstones = require('./tombstones');
+api.transfers = require('./transfers');
+api.usage = require('./usage');
@@ -0,0 +1,132 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const changes = require('./changes');
+const logger = require('./logger');
+
+// load config defaults
+require('./config');
+
+/* Note: Live notifications are delivered by following the change log (see
+`changes.js`) rather than by listening for local writes only, so that
+subscribers are notified of changes made by any process. Each process polls
+the change log once per data hub that has subscribers, starting from the
+oldest cursor any of them has seen; local writes trigger an immediate poll
+so that notifications are delivered as soon as possible. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// data hubs with subscribers:
+// dataHubId => {subscribers, timer, polling, pollAgain}
+const _hubs = new Map();
+
+changes.events.on('change', ({dataHubId}) => {
+  const hub = _hubs.get(dataHubId);
+  if(hub) {
+    _schedule({dataHubId, hub, delay: 0});
+  }
+});
+
+bedrock.events.on('bedrock.stop', () => {
+  for(const hub of _hubs.values()) {
+    clearTimeout(hub.timer);
+  }
+  _hubs.clear();
+});
+
+/**
+ * Subscribes to the changes to the documents in a data hub. The listener is
+ * called with each change record (see `changes.find`) in cursor order.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {number} [since=0] only changes with a cursor greater than this
+ *   are delivered.
+ * @param {Function} listener the function to call with each change record.
+ *
+ * @return {Function} a function to call to unsubscribe.
+ */
+api.subscribe = ({dataHubId, since = 0, listener}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.number(since, 'since');
+  assert.func(listener, 'listener');
+
+  let hub = _hubs.get(dataHubId);
+  if(!hub) {
+    hub = {
+      subscribers: new Set(), timer: null, polling: false, pollAgain: false
+    };
+    _hubs.set(dataHubId, hub);
+  }
+  const subscriber = {since, listener};
+  hub.subscribers.add(subscriber);
+  _schedule({dataHubId, hub, delay: 0});
+
+  return () => {
+    hub.subscribers.delete(subscriber);
+    if(hub.subscribers.size === 0) {
+      clearTimeout(hub.timer);
+      _hubs.delete(dataHubId);
+    }
+  };
+};
+
+function _schedule({dataHubId, hub, delay}) {
+  if(hub.polling) {
+    if(delay === 0) {
+      // poll again right after the current poll completes
+      hub.pollAgain = true;
+    }
+    return;
+  }
+  clearTimeout(hub.timer);
+  hub.timer = setTimeout(() => _poll({dataHubId, hub}), delay);
+  // do not keep the process alive just to poll for changes
+  hub.timer.unref();
+}
+
+async function _poll({dataHubId, hub}) {
+  const {batchSize, pollInterval} = config['data-hub-storage'].notifications;
+  hub.polling = true;
+  hub.pollAgain = false;
+  try {
+    while(hub.subscribers.size > 0) {
+      const since = Math.min(...[...hub.subscribers].map(s => s.since));
+      const {records, hasMore} = await changes.find(
+        {dataHubId, since, limit: batchSize});
+      for(const record of records) {
+        for(const subscriber of hub.subscribers) {
+          if(record.cursor > subscriber.since) {
+            subscriber.since = record.cursor;
+            _notify({subscriber, record});
+          }
+        }
+      }
+      if(!hasMore) {
+        break;
+      }
+    }
+  } catch(e) {
+    // try again at the next interval
+    logger.error('Could not poll data hub changes.', {error: e});
+  } finally {
+    hub.polling = false;
+  }
+  if(_hubs.get(dataHubId) === hub) {
+    _schedule({dataHubId, hub, delay: hub.pollAgain ? 0 : pollInterval});
+  }
+}
+
+function _notify({subscriber, record}) {
+  try {
+    subscriber.listener(record);
+  } catch(e) {
+    logger.error('Data hub change listener failed.', {error: e});
+  }
+}
@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Builds a database query for data hub documents from a document query
+ * (see the `query` schema).
+ *
+ * A document query either has an `index` and one of `filter`, `equals`, or
+ * `has` (if more than one is given, they take precedence in that order) or
+ * it has `indexes`, an array of such queries, any of which must match. The
+ * latter is useful after HMAC key rotation, where some documents are indexed
+ * using the old key and some are indexed using the new one. Documents that
+ * match more than one of the `indexes` are only matched once.
+ *
+ * @param {string} [index] the ID of the HMAC key the attributes are indexed
+ *   with.
+ * @param {Array} [equals] an array of objects, any of which must match; each
+ *   object maps attribute names to values that must all match.
+ * @param {Array} [has] an array of attribute names that must all be present.
+ * @param {Object} [filter] a filter expression, see `compileFilter`.
+ * @param {Array} [indexes] an array of `{index, equals, has, filter}`
+ *   queries, any of which must match.
+ *
+ * @return {Object} the database query.
+ */
+api.buildQuery = ({index, equals, has, filter, indexes}) => {
+  if(indexes) {
+    return {$or: indexes.map(api.buildQuery)};
+  }
+  if(filter) {
+    return api.compileFilter({index, filter});
+  }
+
+  // TODO: database.hash() hmac IDs here and in `storage`?
+  if(equals) {
+    const allStrings = equals.every(
+      e => Object.values(e).every(value => typeof value === 'string'));
+    if(!allStrings) {
+      throw new BedrockError(
+        'Invalid "equals" query; each array element must be an object ' +
+        'with keys that have values that are strings.',
+        'DataError', {public: true, httpStatusCode: 400});
+    }
+    return {
+      $or: equals.map(e => _matchEntry({
+        index,
+        attributes: {
+          $all: Object.keys(e).map(
+            name => ({$elemMatch: {name, value: e[name]}}))
+        }
+      }))
+    };
+  }
+
+  // `has` query
+  return _matchEntry({index, 'attributes.name': {$all: has}});
+};
+
+/**
+ * Compiles a filter expression into a database query for data hub documents
+ * that are indexed with the given HMAC key. A filter expression is an object
+ * with exactly one of these properties:
+ *
+ * `equals`: an object mapping attribute names to values that must all match.
+ * `in`: an object mapping a single attribute name to an array of values, any
+ *   of which must match.
+ * `has`: an array of attribute names that must all be present.
+ * `hasNot`: an array of attribute names that must all be absent.
+ * `and`: an array of filter expressions that must all match.
+ * `or`: an array of filter expressions, any of which must match.
+ * `not`: a filter expression that must not match.
+ *
+ * All attribute names and values are blinded (HMAC'd) by the client; each
+ * term only matches attributes in the index entry for `index`, and only
+ * documents that have an index entry for `index` are matched.
+ *
+ * @param {string} index the ID of the HMAC key the attributes are indexed
+ *   with.
+ * @param {Object} filter the filter expression.
+ *
+ * @return {Object} the database query.
+ */
+api.compileFilter = ({index, filter}) => ({
+  $and: [
+    {'doc.indexed.hmac.id': index},
+    _compile({index, filter, depth: 0})
+  ]
+});
+
+function _compile({index, filter, depth}) {
+  const {maxFilterDepth} = config['data-hub-storage'].documentQuery;
+  if(depth > maxFilterDepth) {
+    throw new BedrockError(
+      `Query filter may not be nested more than ${maxFilterDepth} levels.`,
+      'DataError', {public: true, httpStatusCode: 400});
+  }
+
+  const keys = Object.keys(filter);
+  if(keys.length !== 1) {
+    throw new BedrockError(
+      'Each query filter expression must have exactly one property.',
+      'DataError', {public: true, httpStatusCode: 400});
+  }
+  const [operator] = keys;
+  const operand = filter[operator];
+  depth++;
+
+  if(operator === 'and' || operator === 'or') {
+    return {
+      [`$${operator}`]: operand.map(f => _compile({index, filter: f, depth}))
+    };
+  }
+  if(operator === 'not') {
+    return {$nor: [_compile({index, filter: operand, depth})]};
+  }
+  if(operator === 'equals') {
+    return _matchEntry({
+      index,
+      attributes: {
+        $all: Object.keys(operand).map(
+          name => ({$elemMatch: {name, value: operand[name]}}))
+      }
+    });
+  }
+  if(operator === 'in') {
+    const [name] = Object.keys(operand);
+    return _matchEntry({
+      index,
+      attributes: {$elemMatch: {name, value: {$in: operand[name]}}}
+    });
+  }
+  if(operator === 'has') {
+    return _matchEntry({index, 'attributes.name': {$all: operand}});
+  }
+  if(operator === 'hasNot') {
+    return {
+      $nor: [_matchEntry({index, 'attributes.name': {$in: operand}})]
+    };
+  }
+  throw new BedrockError(
+    `Unknown query filter operator "${operator}".`,
+    'DataError', {public: true, httpStatusCode: 400});
+}
+
+// matches documents with an index entry for `index` that matches `match`
+function _matchEntry({index, ...match}) {
+  return {'doc.indexed': {$elemMatch: {'hmac.id': index, ...match}}};
+}
@@ -0,0 +1,64 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * A rate limit store that keeps token buckets in memory. Buckets are not
+ * shared between processes, so each process enforces limits on its own.
+ */
+module.exports = class MemoryRateLimitStore {
+  /**
+   * @param {number} [sweepInterval=60000] how often (in milliseconds) to
+   *   forget buckets that have been refilled.
+   */
+  constructor({sweepInterval = 60 * 1000} = {}) {
+    this.sweepInterval = sweepInterval;
+    // key => {tokens, updated, full}
+    this._buckets = new Map();
+    this._swept = Date.now();
+  }
+
+  /**
+   * Takes a token from a bucket.
+   *
+   * @param {string} key the key of the bucket.
+   * @param {number} capacity the maximum number of tokens in the bucket.
+   * @param {number} refillRate the number of tokens added per second.
+   *
+   * @return {Promise<Object>} resolves to `{allowed, retryAfter}`, where
+   *   `retryAfter` is the number of seconds until a token is available if
+   *   none was taken.
+   */
+  async take({key, capacity, refillRate}) {
+    const now = Date.now();
+    if(now - this._swept > this.sweepInterval) {
+      this._sweep(now);
+    }
+
+    const bucket = this._buckets.get(key);
+    const tokens = bucket ? Math.min(
+      capacity, bucket.tokens + (now - bucket.updated) / 1000 * refillRate) :
+      capacity;
+    if(tokens < 1) {
+      return {allowed: false, retryAfter: Math.ceil((1 - tokens) / refillRate)};
+    }
+    this._buckets.set(key, {
+      tokens: tokens - 1,
+      updated: now,
+      // time at which the bucket will be full again
+      full: now + (capacity - tokens + 1) / refillRate * 1000
+    });
+    return {allowed: true};
+  }
+
+  _sweep(now) {
+    // a full bucket is the same as no bucket
+    for(const [key, {full}] of this._buckets) {
+      if(full <= now) {
+        this._buckets.delete(key);
+      }
+    }
+    this._swept = now;
+  }
+};
@@ -0,0 +1,111 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const database = require('bedrock-mongodb');
+const {promisify} = require('util');
+
+/**
+ * A rate limit store that keeps token buckets in a MongoDB collection so
+ * that limits are shared by all processes in a cluster. Buckets are updated
+ * optimistically: a token is only taken if the bucket has not changed since
+ * it was read, otherwise the operation is retried.
+ */
+module.exports = class MongoDbRateLimitStore {
+  /**
+   * @param {string} collection the name of the collection to use.
+   * @param {number} [maxAttempts=5] the maximum number of attempts to take a
+   *   token from a bucket that is being concurrently updated.
+   */
+  constructor({collection, maxAttempts = 5}) {
+    this.collectionName = collection;
+    this.maxAttempts = maxAttempts;
+    this._ready = null;
+  }
+
+  /**
+   * Takes a token from a bucket.
+   *
+   * @param {string} key the key of the bucket.
+   * @param {number} capacity the maximum number of tokens in the bucket.
+   * @param {number} refillRate the number of tokens added per second.
+   *
+   * @return {Promise<Object>} resolves to `{allowed, retryAfter}`, where
+   *   `retryAfter` is the number of seconds until a token is available if
+   *   none was taken.
+   */
+  async take({key, capacity, refillRate}) {
+    const collection = await this._getCollection();
+    const id = database.hash(key);
+    for(let i = 0; i < this.maxAttempts; ++i) {
+      const now = Date.now();
+      const record = await collection.findOne(
+        {id}, {_id: 0, tokens: 1, updated: 1});
+      const tokens = record ? Math.min(
+        capacity, record.tokens + (now - record.updated) / 1000 * refillRate) :
+        capacity;
+      if(tokens < 1) {
+        return {
+          allowed: false, retryAfter: Math.ceil((1 - tokens) / refillRate)
+        };
+      }
+      const bucket = {
+        tokens: tokens - 1,
+        updated: now,
+        // a full bucket is the same as no bucket, so expire it once full
+        expires: new Date(now + (capacity - tokens + 1) / refillRate * 1000)
+      };
+
+      if(!record) {
+        try {
+          await collection.insert({id, ...bucket}, database.writeOptions);
+          return {allowed: true};
+        } catch(e) {
+          if(!database.isDuplicateError(e)) {
+            throw e;
+          }
+          // concurrently created; try again
+          continue;
+        }
+      }
+      const result = await collection.update(
+        {id, tokens: record.tokens, updated: record.updated},
+        {$set: bucket}, database.writeOptions);
+      if(result.result.n !== 0) {
+        return {allowed: true};
+      }
+    }
+    // too much contention for the bucket; treat as limited
+    return {allowed: false, retryAfter: 1};
+  }
+
+  async _getCollection() {
+    // collection must be opened lazily as the database is not available
+    // until `bedrock-mongodb.ready`
+    if(!this._ready) {
+      this._ready = this._init().catch(e => {
+        // try again next time
+        this._ready = null;
+        throw e;
+      });
+    }
+    await this._ready;
+    return database.collections[this.collectionName];
+  }
+
+  async _init() {
+    await promisify(database.openCollections)([this.collectionName]);
+    await promisify(database.createIndexes)([{
+      // one bucket per key
+      collection: this.collectionName,
+      fields: {id: 1},
+      options: {unique: true, background: false}
+    }, {
+      // expire buckets once they are full
+      collection: this.collectionName,
+      fields: {expires: 1},
+      options: {unique: false, background: false, expireAfterSeconds: 0}
+    }]);
+  }
+};
@@ -0,0 +1,130 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const MemoryRateLimitStore = require('./rateLimitStores/memory');
+const MongoDbRateLimitStore = require('./rateLimitStores/mongodb');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: Requests to zcap-authorized routes are rate limited using token
+buckets. Each route belongs to a route class (`read`, `write`, or `query`)
+and each request takes a token from three buckets for its class: one for the
+client (by IP address), taken before the capability invocation is verified,
+and one for the data hub and one for the verified invoker (across all data
+hubs), taken once it is verified, so that unauthorized requests cannot
+exhaust a data hub's limits. If any bucket is empty, the request is
+rejected. Buckets are kept in a rate limit store; the built-in stores keep
+them in memory (per process) or in MongoDB (shared by all processes). */
+
+// module API
+const api = {};
+module.exports = api;
+
+// registered rate limit stores: name => {create, store}
+const _stores = new Map();
+
+/**
+ * Registers a rate limit store. A store must provide the following method:
+ *
+ * `take({key, capacity, refillRate})`: takes a token from the bucket with the
+ *   given key, resolving to `{allowed, retryAfter}`; see
+ *   `rateLimitStores/memory.js`.
+ *
+ * @param {string} name the name of the store, used to select it via the
+ *   `rateLimits.store` config option.
+ * @param {Function} create a function that is called with the store's
+ *   configuration (`rateLimits[name]`) the first time the store is used and
+ *   that returns the store.
+ */
+api.register = ({name, create}) => {
+  assert.string(name, 'name');
+  assert.func(create, 'create');
+  if(_stores.has(name)) {
+    throw new Error(`Rate limit store "${name}" is already registered.`);
+  }
+  _stores.set(name, {create, store: null});
+};
+
+/**
+ * Takes a token from the rate limit buckets of a client, data hub, and/or
+ * invoker for a route class. If a bucket is empty, a
+ * `RateLimitExceededError` is thrown with the number of seconds after which
+ * to retry (`retryAfter`).
+ *
+ * @param {string} routeClass the route class: `read`, `write`, or `query`.
+ * @param {string} [client] the IP address of the client.
+ * @param {string} [dataHubId] the ID of the data hub.
+ * @param {string} [invoker] the ID of the verified invoker.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.consume = async ({routeClass, client, dataHubId, invoker}) => {
+  assert.string(routeClass, 'routeClass');
+  assert.optionalString(client, 'client');
+  assert.optionalString(dataHubId, 'dataHubId');
+  assert.optionalString(invoker, 'invoker');
+
+  const cfg = config['data-hub-storage'].rateLimits;
+  if(!cfg.enabled) {
+    return;
+  }
+  const buckets = [];
+  if(client) {
+    buckets.push({scope: 'client', id: client});
+  }
+  if(dataHubId) {
+    buckets.push({scope: 'dataHub', id: dataHubId});
+  }
+  if(invoker) {
+    buckets.push({scope: 'invoker', id: invoker});
+  }
+  for(const {scope, id} of buckets) {
+    const limit = cfg[scope][routeClass];
+    if(!limit) {
+      continue;
+    }
+    const {capacity, refillRate} = limit;
+    const {allowed, retryAfter} = await _getStore(cfg.store).take(
+      {key: `${scope}:${routeClass}:${id}`, capacity, refillRate});
+    if(!allowed) {
+      throw new BedrockError(
+        'Too many requests; rate limit exceeded.',
+        'RateLimitExceededError', {
+          retryAfter,
+          httpStatusCode: 429,
+          public: true
+        });
+    }
+  }
+};
+
+// register built-in stores
+api.register({
+  name: 'memory',
+  create: options => new MemoryRateLimitStore(options)
+});
+api.register({
+  name: 'mongodb',
+  create: options => new MongoDbRateLimitStore(options)
+});
+
+function _getStore(name) {
+  const entry = _stores.get(name);
+  if(!entry) {
+    throw new BedrockError(
+      `Rate limit store "${name}" is not registered.`,
+      'NotFoundError', {store: name});
+  }
+  if(!entry.store) {
+    entry.store = entry.create(
+      config['data-hub-storage'].rateLimits[name] || {});
+  }
+  return entry.store;
+}
@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const database = require('bedrock-mongodb');
+const {promisify} = require('util');
+const {BedrockError} = bedrock.util;
+
+/* Note: When a data hub's config has a `revisionRetention` policy, the
+previous revision of a document is stored in the `dataHubDocRevision`
+collection whenever the document is updated. Revisions are retained either
+for a number of days (`{days}`), in which case they expire via a TTL index,
+or up to a maximum number per document (`{count}`), in which case older
+revisions are pruned whenever a new one is stored. */
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(['dataHubDocRevision']);
+
+  await promisify(database.createIndexes)([{
+    // cover revision queries by data hub ID + document ID + sequence
+    collection: 'dataHubDocRevision',
+    fields: {dataHubId: 1, id: 1, sequence: 1},
+    options: {unique: true, background: false}
+  }, {
+    // expire revisions retained for a number of days
+    collection: 'dataHubDocRevision',
+    fields: {'meta.expires': 1},
+    options: {
+      partialFilterExpression: {'meta.expires': {$exists: true}},
+      expireAfterSeconds: 0,
+      unique: false,
+      background: false
+    }
+  }]);
+});
+
+/**
+ * Stores a revision of a data hub document that is being replaced and
+ * prunes any revisions that are no longer retained.
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {Object} doc the revision of the document that was replaced.
+ * @param {Object} retention the data hub's revision retention policy,
+ *   either `{count}` or `{days}`.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.insert = async ({dataHubId, doc, retention}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.object(doc, 'doc');
+  assert.object(retention, 'retention');
+
+  const now = Date.now();
+  const meta = {created: now};
+  if(retention.days) {
+    meta.expires = new Date(now + retention.days * 24 * 60 * 60 * 1000);
+  }
+  const record = {
+    dataHubId: database.hash(dataHubId),
+    id: database.hash(doc.id),
+    sequence: doc.sequence,
+    meta,
+    doc
+  };
+
+  try {
+    await database.collections.dataHubDocRevision.insert(
+      record, database.writeOptions);
+  } catch(e) {
+    // revision already stored (e.g., by a previously interrupted update)
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+  }
+
+  if(retention.count) {
+    // document sequences are consecutive, so only the last `count`
+    // revisions are retained by sequence number alone
+    await database.collections.dataHubDocRevision.remove({
+      dataHubId: record.dataHubId,
+      id: record.id,
+      sequence: {$lte: doc.sequence - retention.count}
+    }, database.writeOptions);
+  }
+};
+
+/**
+ * Gets a revision of a data hub document.
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {string} id the ID of the document.
+ * @param {number} sequence the sequence of the revision.
+ *
+ * @return {Promise<Object>} resolves to `{doc, meta}`.
+ */
+api.get = async ({dataHubId, id, sequence}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.string(id, 'id');
+  assert.number(sequence, 'sequence');
+
+  const record = await database.collections.dataHubDocRevision.findOne({
+    dataHubId: database.hash(dataHubId),
+    id: database.hash(id),
+    sequence
+  }, {_id: 0, doc: 1, meta: 1});
+  if(!record) {
+    throw new BedrockError(
+      'Data hub document revision not found.',
+      'NotFoundError', {
+        dataHub: dataHubId, doc: id, sequence,
+        httpStatusCode: 404, public: true
+      });
+  }
+
+  return record;
+};
+
+/**
+ * Retrieves the retained revisions of a data hub document, most recent
+ * first, without their contents.
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {string} id the ID of the document.
+ *
+ * @return {Promise<Array>} resolves to the revision records, each with only
+ *   `sequence` and `meta`.
+ */
+api.find = async ({dataHubId, id}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.string(id, 'id');
+
+  return database.collections.dataHubDocRevision.find({
+    dataHubId: database.hash(dataHubId),
+    id: database.hash(id)
+  }, {_id: 0, sequence: 1, meta: 1}).sort({sequence: -1}).toArray();
+};
+
+/**
+ * Removes all revisions matching the given query.
+ *
+ * @param {Object} query the query for the `dataHubDocRevision` records.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.remove = async ({query}) => {
+  assert.object(query, 'query');
+  await database.collections.dataHubDocRevision.remove(
+    query, database.writeOptions);
+};
@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const brZCapStorage = require('bedrock-zcap-storage');
+const database = require('bedrock-mongodb');
+const {promisify} = require('util');
+const {BedrockError} = bedrock.util;
+
+/* Note: A delegated capability (zcap) for a data hub may be revoked by any
+delegator in its delegation chain (see the `revocations` route in `http.js`).
+Revoked capabilities are recorded in the `dataHubRevocation` collection; a
+revoked capability cannot be invoked, stored as an authorization, or used as
+a parent of another capability, regardless of whether it is stored on this
+server or presented in a delegation chain by a third party. Revocations are
+removed along with their data hub.
+
+Capability IDs are chosen by their delegators, so anyone who may delegate a
+capability could give it the ID of someone else's capability. A revocation is
+therefore bound to the revoked capability itself: its ID, its parent
+capability, and the key that signed its delegation proof; only a capability
+that matches all three is revoked. */
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(['dataHubRevocation']);
+
+  await promisify(database.createIndexes)([{
+    // cover revocation queries by data hub ID + capability ID + parent
+    // capability + delegation key
+    collection: 'dataHubRevocation',
+    fields: {dataHubId: 1, id: 1, parentCapability: 1, delegationKey: 1},
+    options: {unique: true, background: false}
+  }]);
+});
+
+/**
+ * Revokes a delegated capability. The capability's delegation chain must
+ * have been verified. A root capability of the data hub cannot be revoked,
+ * and neither can a capability with the ID of a stored authorization that is
+ * a different capability.
+ *
+ * @param {string} dataHubId the ID of the data hub the capability is for.
+ * @param {Object} capability the capability to revoke.
+ * @param {string} delegator the delegator in the capability's delegation
+ *   chain that revoked it.
+ *
+ * @return {Promise<Object>} resolves to the database record.
+ */
+api.insert = async ({dataHubId, capability, delegator}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.object(capability, 'capability');
+  assert.string(capability.id, 'capability.id');
+  assert.string(capability.parentCapability, 'capability.parentCapability');
+  assert.string(delegator, 'delegator');
+
+  const binding = _getBinding(capability);
+  if(!binding) {
+    throw new TypeError(
+      '"capability" must have a delegation proof with a verification method.');
+  }
+  if(capability.id.startsWith(`${dataHubId}/zcaps/`)) {
+    throw new BedrockError(
+      'Root capabilities cannot be revoked.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 400,
+        capability: capability.id
+      });
+  }
+  const authorizations = await brZCapStorage.authorizations.find({
+    query: {'authorization.capability.id': capability.id},
+    fields: {_id: 0, 'authorization.capability': 1}
+  });
+  for(const {authorization} of authorizations) {
+    const stored = _getBinding(authorization.capability);
+    if(!(stored && stored.parentCapability === binding.parentCapability &&
+      stored.delegationKey === binding.delegationKey)) {
+      throw new BedrockError(
+        'The capability ID belongs to a stored authorization that was ' +
+        'delegated by another party.',
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 400,
+          capability: capability.id
+        });
+    }
+  }
+
+  const now = Date.now();
+  const record = {
+    dataHubId: database.hash(dataHubId),
+    ...binding,
+    meta: {created: now, updated: now},
+    revocation: {delegator, capability}
+  };
+  try {
+    await database.collections.dataHubRevocation.insert(
+      record, database.writeOptions);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Capability already revoked.',
+      'DuplicateError', {
+        public: true,
+        httpStatusCode: 409
+      }, e);
+  }
+  return record;
+};
+
+/**
+ * Determines whether any of the given capabilities has been revoked.
+ *
+ * @param {string} dataHubId the ID of the data hub the capabilities are for.
+ * @param {Array} capabilities the capabilities, e.g., the capabilities in a
+ *   delegation chain; capabilities given only by ID (i.e., root
+ *   capabilities) and capabilities without a delegation proof cannot be
+ *   revoked and are skipped.
+ *
+ * @return {Promise<boolean>} resolves to `true` if any capability has been
+ *   revoked.
+ */
+api.isRevoked = async ({dataHubId, capabilities}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.array(capabilities, 'capabilities');
+  const bindings = capabilities
+    .filter(zcap => zcap && typeof zcap === 'object')
+    .map(_getBinding)
+    .filter(binding => binding);
+  if(bindings.length === 0) {
+    return false;
+  }
+  const record = await database.collections.dataHubRevocation.findOne({
+    dataHubId: database.hash(dataHubId),
+    $or: bindings
+  }, {_id: 0, id: 1});
+  return !!record;
+};
+
+/**
+ * Removes all revocations for a data hub, e.g., when the data hub is
+ * removed.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.remove = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  await database.collections.dataHubRevocation.remove(
+    {dataHubId: database.hash(dataHubId)}, database.writeOptions);
+};
+
+function _getBinding(capability) {
+  // a capability is identified by its ID, its parent capability, and the key
+  // that signed its delegation proof
+  const {id, parentCapability} = capability;
+  const proofs = [].concat(capability.proof || []);
+  const proof = proofs.find(p => p.proofPurpose === 'capabilityDelegation');
+  const key = proof && (proof.verificationMethod || proof.creator);
+  if(!(typeof id === 'string' && typeof parentCapability === 'string' &&
+    typeof key === 'string')) {
+    return null;
+  }
+  return {
+    id: database.hash(id),
+    parentCapability: database.hash(parentCapability),
+    delegationKey: database.hash(key)
+  };
+}
@@ -0,0 +1,66 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const base58 = require('bs58');
+const crypto = require('crypto');
+const jsigs = require('jsonld-signatures');
+
+const {suites: {JwsLinkedDataSignature}} = jsigs;
+
+// DER-encoded SubjectPublicKeyInfo prefix for a compressed P-256 public key
+const SPKI_PREFIX = Buffer.from(
+  '3039301306072a8648ce3d020106082a8648ce3d030107032200', 'hex');
+
+// a P-256 public key that can verify signatures
+class P256PublicKey {
+  constructor({publicKeyBase58}) {
+    if(typeof publicKeyBase58 !== 'string') {
+      throw new TypeError('"publicKeyBase58" must be a string.');
+    }
+    this.publicKey = crypto.createPublicKey({
+      key: Buffer.concat([SPKI_PREFIX, base58.decode(publicKeyBase58)]),
+      format: 'der',
+      type: 'spki'
+    });
+  }
+
+  static async from(verificationMethod) {
+    return new P256PublicKey(verificationMethod);
+  }
+
+  verifier() {
+    const {publicKey: key} = this;
+    return {
+      async verify({data, signature}) {
+        return crypto.verify(
+          'sha256', Buffer.from(data), {key, dsaEncoding: 'ieee-p1363'},
+          Buffer.from(signature));
+      }
+    };
+  }
+}
+
+/**
+ * An `EcdsaSecp256r1Signature2019` suite for the version of
+ * `jsonld-signatures` used by this module. Signatures are detached `ES256`
+ * JWSes; keys are `EcdsaSecp256r1VerificationKey2019` keys with compressed
+ * `publicKeyBase58` values, as `did:key` DIDs for P-256 keys are expressed.
+ * There is no key pair class for P-256 keys, so signing requires a `signer`.
+ */
+module.exports = class EcdsaSecp256r1Signature2019
+  extends JwsLinkedDataSignature {
+  /**
+   * @param {Object} [signer] a signer with a `sign({data})` function that
+   *   returns an IEEE P1363 (`r || s`) encoded signature.
+   * @param {string} [verificationMethod] the ID of the key to sign with.
+   * @param {string|Date} [date] the signing date to use.
+   */
+  constructor({signer, verificationMethod, date} = {}) {
+    super({
+      type: 'EcdsaSecp256r1Signature2019', alg: 'ES256',
+      LDKeyClass: P256PublicKey, verificationMethod, signer, date});
+    this.requiredKeyType = 'EcdsaSecp256r1VerificationKey2019';
+  }
+};
@@ -0,0 +1,65 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const base58 = require('bs58');
+const {Ed25519KeyPair} = require('crypto-ld');
+const jsigs = require('jsonld-signatures');
+
+const {SECURITY_CONTEXT_V2_URL, suites: {JwsLinkedDataSignature}} = jsigs;
+
+// defines the proof type, which the security v2 context does not define
+const PROOF_CONTEXT = [SECURITY_CONTEXT_V2_URL, {
+  Ed25519Signature2020: 'https://w3id.org/security#Ed25519Signature2020'
+}];
+
+/**
+ * An `Ed25519Signature2020` suite for the version of `jsonld-signatures`
+ * used by this module. The signature over the verify data is expressed as a
+ * base58btc multibase `proofValue` instead of a detached JWS. Keys are
+ * expressed as `Ed25519VerificationKey2018` keys, as `did:key` DIDs are.
+ * Signed documents may use the security v2 context; the proof type is only
+ * defined when canonizing the proof options.
+ */
+module.exports = class Ed25519Signature2020 extends JwsLinkedDataSignature {
+  /**
+   * @param {LDKeyPair} [key] an `Ed25519KeyPair` to sign with.
+   * @param {Object} [signer] a signer with a `sign({data})` function to sign
+   *   with instead of a key.
+   * @param {string} [verificationMethod] the ID of the key to sign with.
+   * @param {string|Date} [date] the signing date to use.
+   */
+  constructor({key, signer, verificationMethod, date} = {}) {
+    super({
+      type: 'Ed25519Signature2020', LDKeyClass: Ed25519KeyPair,
+      verificationMethod, signer, key, date});
+    this.requiredKeyType = 'Ed25519VerificationKey2018';
+  }
+
+  async canonizeProof(proof, options) {
+    // define the proof type for the proof options
+    return super.canonizeProof({...proof, '@context': PROOF_CONTEXT}, options);
+  }
+
+  async sign({verifyData, proof}) {
+    if(!(this.signer && typeof this.signer.sign === 'function')) {
+      throw new Error('A signer API has not been specified.');
+    }
+    const signature = await this.signer.sign({data: verifyData});
+    // `z` indicates base58btc multibase encoding
+    proof.proofValue = `z${base58.encode(Buffer.from(signature))}`;
+    return proof;
+  }
+
+  async verifySignature({verifyData, verificationMethod, proof}) {
+    const {proofValue} = proof;
+    if(!(typeof proofValue === 'string' && proofValue.startsWith('z'))) {
+      throw new Error(
+        'The "proofValue" must be a base58btc multibase-encoded string.');
+    }
+    const signature = base58.decode(proofValue.substr(1));
+    const key = await this.LDKeyClass.from(verificationMethod);
+    return key.verifier().verify({data: verifyData, signature});
+  }
+};
@@ -7,8 +7,16 @@ require('bedrock-account');
 const assert = require('assert-plus');
 const base58 = require('bs58');
 const bedrock = require('bedrock');
+const brZCapStorage = require('bedrock-zcap-storage');
+const changes = require('./changes');
 const database = require('bedrock-mongodb');
 const brPermission = require('bedrock-permission');
+const chunkStore = require('./chunkStore');
+const logger = require('./logger');
+const revisions = require('./revisions');
+const revocations = require('./revocations');
+const usage = require('./usage');
+const {escapeRegExp} = require('./util');
 const {promisify} = require('util');
 const brPermissionCheck = promisify(brPermission.checkPermission);
 const {BedrockError} = bedrock.util;
@@ -22,6 +30,12 @@ module.exports = api;
 
 const PERMISSIONS = bedrock.config.permission.permissions;
 
+// fields needed to compute the usage of document and chunk records
+const DOC_USAGE_FIELDS = {
+  _id: 0, 'doc.jwe.ciphertext': 1, 'doc.indexed.hmac.id': 1
+};
+const CHUNK_USAGE_FIELDS = {_id: 0, payload: 1, 'chunk.jwe.ciphertext': 1};
+
 bedrock.events.on('bedrock-mongodb.ready', async () => {
   await promisify(database.openCollections)(
     ['dataHubConfig', 'dataHubDoc', 'dataHubDocChunk']);
@@ -36,6 +50,16 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: 'dataHubConfig',
     fields: {controller: 1},
     options: {unique: false, background: false}
+  }, {
+    // cover paginated config queries by controller sorted by creation date
+    collection: 'dataHubConfig',
+    fields: {controller: 1, 'meta.created': 1, id: 1},
+    options: {unique: false, background: false}
+  }, {
+    // cover paginated config queries by controller sorted by update date
+    collection: 'dataHubConfig',
+    fields: {controller: 1, 'meta.updated': 1, id: 1},
+    options: {unique: false, background: false}
   }, {
     // ensure config uniqueness of reference ID per controller
     collection: 'dataHubConfig',
@@ -91,9 +115,25 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
     collection: 'dataHubDocChunk',
     fields: {dataHubId: 1, docId: 1, 'chunk.index': 1},
     options: {unique: true, background: false}
+  }, {
+    // cover queries for data hubs with pending removals
+    collection: 'dataHubConfig',
+    fields: {'meta.removing': 1},
+    options: {
+      partialFilterExpression: {'meta.removing': {$exists: true}},
+      unique: false,
+      background: false
+    }
   }]);
 });
 
+bedrock.events.on('bedrock.ready', () => {
+  // finish any data hub removals that were interrupted; this is not awaited
+  // so that a large removal does not block startup
+  _resumeConfigRemovals().catch(e => logger.error(
+    'Could not resume data hub removals.', {error: e}));
+});
+
 /**
  * Establishes a new data hub by inserting its configuration into storage.
  *
@@ -179,8 +219,9 @@ api.findConfig = async (
     actor, PERMISSIONS.DATA_HUB_CONFIG_ACCESS,
     {resource: [controller]});
 
-  // force controller ID
+  // force controller ID and exclude data hubs that are being removed
   query.controller = database.hash(controller);
+  query['meta.removing'] = {$exists: false};
   return database.collections.dataHubConfig.find(
     query, fields, options).toArray();
 };
@@ -210,7 +251,8 @@ api.updateConfig = async ({actor, config}) => {
 
   const result = await database.collections.dataHubConfig.update({
     id: database.hash(config.id),
-    'config.sequence': config.sequence - 1
+    'config.sequence': config.sequence - 1,
+    'meta.removing': {$exists: false}
   }, {
     $set: {
       config,
@@ -242,7 +284,7 @@ api.getConfig = async ({actor, id}) => {
   assert.string(id, 'id');
 
   const record = await database.collections.dataHubConfig.findOne(
-    {id: database.hash(id)},
+    {id: database.hash(id), 'meta.removing': {$exists: false}},
     {_id: 0, config: 1, meta: 1});
   if(!record) {
     throw new BedrockError(
@@ -260,7 +302,49 @@ api.getConfig = async ({actor, id}) => {
 };
 
 /**
- * Inserts a data hub document.
+ * Removes a data hub configuration and everything stored in the data hub:
+ * its documents, document chunks, any authorizations (delegated zcaps) that
+ * were stored for it, and any revocations of delegated zcaps.
+ *
+ * The data hub is first marked as being removed so that it can no longer be
+ * accessed; its contents are then removed and, finally, its configuration.
+ * If this process is interrupted, calling `removeConfig` again (or restarting
+ * the server) will resume the removal where it left off.
+ *
+ * @param {Object} actor the actor or capabilities for performing the action.
+ * @param {string} id the ID of the data hub to remove.
+ *
+ * @return {Promise<Boolean>} resolves to `true` if a data hub was removed and
+ *   `false` if not.
+ */
+api.removeConfig = async ({actor, id}) => {
+  assert.string(id, 'id');
+
+  const record = await database.collections.dataHubConfig.findOne(
+    {id: database.hash(id)}, {_id: 0, config: 1, meta: 1});
+  if(!record) {
+    return false;
+  }
+
+  // check permission against data hub directly or its controller
+  await brPermissionCheck(
+    actor, PERMISSIONS.DATA_HUB_CONFIG_REMOVE,
+    {resource: [record.config.id, record.config.controller]});
+
+  // mark data hub as being removed (unless a previous removal was
+  // interrupted, in which case it is already marked)
+  if(!record.meta.removing) {
+    await database.collections.dataHubConfig.update(
+      {id: database.hash(id)},
+      {$set: {'meta.removing': Date.now()}}, database.writeOptions);
+  }
+
+  return _removeDataHub({id});
+};
+
+/**
+ * Inserts a data hub document. If storing the document would exceed the data
+ * hub's quota, a `QuotaExceededError` is thrown (see `usage.js`).
  *
  * @param {string} id the ID of the data hub to store the document in.
  * @param {Object} doc the document to insert.
@@ -299,11 +383,15 @@ api.insert = async ({dataHubId, doc}) => {
     record.uniqueAttributes = uniqueAttributes;
   }
 
+  const reserved = usage.getDocUsage(doc);
+  await usage.reserve({dataHubId, usage: reserved});
+
+  let result;
   try {
-    const result = await database.collections.dataHubDoc.insert(
+    result = await database.collections.dataHubDoc.insert(
       record, database.writeOptions);
-    return result.ops[0];
   } catch(e) {
+    await _release({dataHubId, reserved});
     if(!database.isDuplicateError(e)) {
       throw e;
     }
@@ -314,6 +402,10 @@ api.insert = async ({dataHubId, doc}) => {
         httpStatusCode: 409
       }, e);
   }
+
+  await changes.insert(
+    {dataHubId, type: 'insert', id: doc.id, sequence: doc.sequence});
+  return result.ops[0];
 };
 
 /**
@@ -338,6 +430,17 @@ api.get = async ({dataHubId, id}) => {
       'NotFoundError',
       {dataHub: dataHubId, doc: id, httpStatusCode: 404, public: true});
   }
+  if(record.meta.deleted) {
+    // only expose the tombstone of a deleted document
+    throw new BedrockError(
+      'Data hub document not found.',
+      'NotFoundError', {
+        dataHub: dataHubId, doc: id,
+        deleted: new Date(record.meta.deleted).toISOString(),
+        sequence: record.doc.sequence,
+        httpStatusCode: 404, public: true
+      });
+  }
 
   return record;
 };
@@ -345,22 +448,48 @@ api.get = async ({dataHubId, id}) => {
 /**
  * Retrieves all data hub documents matching the given query.
  *
+ * The `returnType` determines what is retrieved:
+ *
+ * `documents`: the records that matched the query, including the fields
+ *   specified by `fields`.
+ * `ids`: the records that matched the query, but only with their `id`,
+ *   `doc.id`, and `doc.sequence` fields (`fields` is ignored).
+ * `count`: only the number of records that matched the query (`fields` and
+ *   `options` are ignored).
+ *
  * @param {string} dataHubId the ID of the data hub to query.
  * @param {Object} query the optional query to use (default: {}).
  * @param {Object} fields optional fields to include or exclude (default: {}).
  * @param {Object} options options (eg: 'sort', 'limit').
+ * @param {string} returnType the optional type of results to return
+ *   (default: `documents`).
  *
- * @return {Promise<Array>} resolves to the records that matched the query.
+ * @return {Promise<Array|number>} resolves to the records that matched the
+ *   query or, if `returnType` is `count`, to the number of records.
  */
-api.find = async ({dataHubId, query = {}, fields = {}, options = {}}) => {
-  // force data hub ID
+api.find = async ({
+  dataHubId, query = {}, fields = {}, options = {}, returnType = 'documents'
+}) => {
+  // force data hub ID and exclude deleted documents
   query.dataHubId = database.hash(dataHubId);
+  query['meta.deleted'] = {$exists: false};
+  if(returnType === 'count') {
+    return database.collections.dataHubDoc.count(query);
+  }
+  if(returnType === 'ids') {
+    fields = {_id: 0, id: 1, 'doc.id': 1, 'doc.sequence': 1};
+  } else if(returnType !== 'documents') {
+    throw new TypeError(
+      '"returnType" must be "documents", "ids", or "count".');
+  }
   return database.collections.dataHubDoc.find(query, fields, options).toArray();
 };
 
 /**
  * Updates (replaces) a data hub document. If the document does not exist,
- * it will be inserted. See `insert`.
+ * it will be inserted. See `insert`. If the document has been deleted (but
+ * not yet purged), it will be re-created. If storing the document would
+ * exceed the data hub's quota, a `QuotaExceededError` is thrown.
  *
  * @param {string} dataHubId the ID of the data hub the document is in.
  * @param {Object} doc the document to store.
@@ -397,23 +526,37 @@ api.update = async ({dataHubId, doc}) => {
     $set.uniqueAttributes = uniqueAttributes;
   }
 
+  // if the data hub retains revisions, the revision being replaced must be
+  // retrieved so it can be stored
+  const retention = await _getRevisionRetention({dataHubId});
+
+  // reserve the usage of the document, taking into account the revision
+  // it will presumably replace
+  const current = await database.collections.dataHubDoc.findOne(
+    {dataHubId: record.dataHubId, id: record.id}, DOC_USAGE_FIELDS);
+  const reserved = _getDocUsage({doc, previous: current});
+  await usage.reserve({dataHubId, usage: reserved});
+
+  let result;
   try {
-    const result = await database.collections.dataHubDoc.update({
+    result = await database.collections.dataHubDoc.findOneAndUpdate({
       dataHubId: record.dataHubId,
       id: record.id,
       'doc.sequence': doc.sequence - 1
     }, {
       $set,
+      $unset: {'meta.deleted': '', 'meta.deletedUniqueAttributes': ''},
       $setOnInsert: {
         dataHubId: record.dataHubId, id: record.id, 'meta.created': now
       }
-    }, {...database.writeOptions, upsert: true});
-
-    if(result.result.n > 0) {
-      // document upserted or modified: success
-      return true;
-    }
+    }, {
+      ...database.writeOptions,
+      projection: retention ? {_id: 0, doc: 1} : DOC_USAGE_FIELDS,
+      returnOriginal: true,
+      upsert: true
+    });
   } catch(e) {
+    await _release({dataHubId, reserved});
     if(!database.isDuplicateError(e)) {
       throw e;
     }
@@ -425,6 +568,23 @@ api.update = async ({dataHubId, doc}) => {
       }, e);
   }
 
+  if(result.lastErrorObject.n > 0) {
+    // document upserted or modified: success; retain replaced revision
+    const {value: previous} = result;
+    // correct the reservation if the replaced revision changed concurrently
+    await _release(
+      {dataHubId, reserved, used: _getDocUsage({doc, previous})});
+    if(retention && previous) {
+      await revisions.insert({dataHubId, doc: previous.doc, retention});
+    }
+    await changes.insert({
+      dataHubId, type: previous ? 'update' : 'insert',
+      id, sequence: doc.sequence
+    });
+    return true;
+  }
+
+  await _release({dataHubId, reserved});
   throw new BedrockError(
     'Could not update document. Sequence does not match.',
     'InvalidStateError', {
@@ -435,33 +595,143 @@ api.update = async ({dataHubId, doc}) => {
 };
 
 /**
- * Removes a data hub document.
+ * Removes (deletes) a data hub document. The document is not removed from
+ * storage right away; instead it is marked as deleted, leaving a tombstone
+ * with its ID, last sequence, and deletion time. It can be restored via
+ * `restore` until it is purged once the configured retention period has
+ * passed (see `tombstones.js`).
  *
  * @param {string} dataHubId the ID of the data hub the document is in.
  * @param {string} id the ID of the document to remove.
+ * @param {number} [sequence] the expected sequence of the document; if given
+ *   and the document's sequence does not match, an `InvalidStateError` is
+ *   thrown.
+ * @param {boolean} [returnSequence=false] `true` to resolve to the sequence
+ *   of the removed document (as recorded in its tombstone) instead of `true`,
+ *   and to `null` instead of `false`.
  *
- * @return {Promise<Boolean>} resolves to `true` if a document was removed and
- *   `false` if not.
+ * @return {Promise<Boolean|number>} resolves to `true` if a document was
+ *   removed and `false` if not (see `returnSequence`).
  */
-api.remove = async ({dataHubId, id}) => {
+api.remove = async ({dataHubId, id, sequence, returnSequence = false}) => {
   assert.string(dataHubId, 'dataHubId');
   assert.string(id, 'id');
+  assert.optionalNumber(sequence, 'sequence');
+  assert.bool(returnSequence, 'returnSequence');
   _assert128BitId(id);
 
-  const result = await database.collections.dataHubDoc.remove(
-    {dataHubId: database.hash(dataHubId), id: database.hash(id)});
-  return result.result.n !== 0;
+  const query = {
+    dataHubId: database.hash(dataHubId),
+    id: database.hash(id),
+    'meta.deleted': {$exists: false}
+  };
+  const record = await database.collections.dataHubDoc.findOne(
+    query, {_id: 0, 'doc.sequence': 1, uniqueAttributes: 1});
+  const notRemoved = returnSequence ? null : false;
+  if(!record) {
+    return notRemoved;
+  }
+  if(sequence !== undefined && record.doc.sequence !== sequence) {
+    throw new BedrockError(
+      'Could not remove document. Sequence does not match.',
+      'InvalidStateError', {
+        httpStatusCode: 409,
+        public: true,
+        expected: sequence
+      });
+  }
+
+  // unique attributes of a deleted document must not prevent other
+  // documents from using them, so move them aside until restored
+  const now = Date.now();
+  const update = {$set: {'meta.deleted': now, 'meta.updated': now}};
+  if(record.uniqueAttributes) {
+    update.$set['meta.deletedUniqueAttributes'] = record.uniqueAttributes;
+    update.$unset = {uniqueAttributes: ''};
+  }
+  const result = await database.collections.dataHubDoc.update(
+    {...query, 'doc.sequence': record.doc.sequence},
+    update, database.writeOptions);
+  if(result.result.n === 0) {
+    return notRemoved;
+  }
+  await usage.touch({dataHubId});
+  await changes.insert(
+    {dataHubId, type: 'delete', id, sequence: record.doc.sequence});
+  return returnSequence ? record.doc.sequence : true;
+};
+
+/**
+ * Restores (undeletes) a data hub document that was removed, provided that
+ * it has not been purged yet.
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {string} id the ID of the document to restore.
+ *
+ * @return {Promise<Boolean>} resolves to `true` if a document was restored
+ *   and `false` if not.
+ */
+api.restore = async ({dataHubId, id}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.string(id, 'id');
+  _assert128BitId(id);
+
+  const {retentionPeriod} = bedrock.config['data-hub-storage'].tombstones;
+  const query = {
+    dataHubId: database.hash(dataHubId),
+    id: database.hash(id),
+    'meta.deleted': {$gt: Date.now() - retentionPeriod}
+  };
+  const record = await database.collections.dataHubDoc.findOne(
+    query, {_id: 0, 'doc.sequence': 1, meta: 1});
+  if(!record) {
+    return false;
+  }
+
+  const update = {
+    $set: {'meta.updated': Date.now()},
+    $unset: {'meta.deleted': '', 'meta.deletedUniqueAttributes': ''}
+  };
+  if(record.meta.deletedUniqueAttributes) {
+    update.$set.uniqueAttributes = record.meta.deletedUniqueAttributes;
+  }
+  let result;
+  try {
+    result = await database.collections.dataHubDoc.update(
+      {...query, 'meta.deleted': record.meta.deleted},
+      update, database.writeOptions);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Could not restore data hub document; another document has the same ' +
+      'unique attributes.',
+      'DuplicateError', {
+        public: true,
+        httpStatusCode: 409
+      }, e);
+  }
+  if(result.result.n === 0) {
+    return false;
+  }
+  await usage.touch({dataHubId});
+  await changes.insert(
+    {dataHubId, type: 'restore', id, sequence: record.doc.sequence});
+  return true;
 };
 
 /**
  * Updates (replaces) a data hub document chunk. If the document chunk does not
- * exist, it will be inserted.
+ * exist, it will be inserted. If storing the chunk would exceed the data hub's
+ * quota, a `QuotaExceededError` is thrown.
  *
  * @param {string} dataHubId the ID of the data hub the document chunk is in.
  * @param {string} docId the ID of the document the chunk is associated with.
  * @param {Object} chunk the chunk to store.
  *
- * @return {Promise} resolves once the operation completes.
+ * @return {Promise<Object>} resolves to `{payload}` with the reference to the
+ *   chunk store payload that holds the chunk's ciphertext.
  */
 api.updateChunk = async ({dataHubId, docId, chunk}) => {
   assert.string(dataHubId, 'dataHubId');
@@ -484,9 +754,9 @@ api.updateChunk = async ({dataHubId, docId, chunk}) => {
     throw new TypeError('"chunk.sequence" must be a non-negative integer.');
   }
 
-  // TODO: implement garbage collector worker that removes chunks with stale
-  // sequences (e.g., can happen because uploads failed or because associated
-  // data shrunk in size, i.e., fewer chunks)
+  // Note: chunks with stale sequences (e.g., can happen because uploads
+  // failed or because associated data shrunk in size, i.e., fewer chunks)
+  // are removed by the chunk collector, see `chunkCollector.js`
 
   // ensure `chunk.sequence` is proper (on par with associated doc)
   // TODO: optimize retrieval of only sequence number
@@ -502,36 +772,81 @@ api.updateChunk = async ({dataHubId, docId, chunk}) => {
       });
   }
 
+  // reserve the usage of the chunk, taking into account the chunk it will
+  // presumably replace
+  const current = await database.collections.dataHubDocChunk.findOne({
+    dataHubId: database.hash(dataHubId), docId: database.hash(docId),
+    'chunk.index': chunk.index
+  }, CHUNK_USAGE_FIELDS);
+  const reserved = _getChunkUsage({chunk, previous: current});
+  await usage.reserve({dataHubId, usage: reserved});
+
+  // store the chunk's ciphertext as a payload in the chunk store, only its
+  // metadata is stored in the database
+  const {ciphertext, ...jwe} = chunk.jwe;
+  let payload;
+  try {
+    payload = await chunkStore.write({data: ciphertext});
+  } catch(e) {
+    await _release({dataHubId, reserved});
+    throw e;
+  }
+
   const now = Date.now();
   const meta = {created: now, updated: now};
   const record = {
     dataHubId: database.hash(dataHubId),
     docId: database.hash(docId),
     meta,
-    chunk
+    chunk: {...chunk, jwe},
+    payload
   };
 
+  // do not replace a chunk that was concurrently written for a newer
+  // document sequence; in that case the upsert fails as a duplicate
+  let result;
   try {
-    const result = await database.collections.dataHubDocChunk.update({
+    result = await database.collections.dataHubDocChunk.findOneAndUpdate({
       dataHubId: record.dataHubId,
       docId: record.docId,
-      'chunk.index': chunk.index
+      'chunk.index': chunk.index,
+      'chunk.sequence': {$lte: chunk.sequence}
     }, {
-      $set: {chunk, 'meta.updated': now},
+      $set: {chunk: record.chunk, payload, 'meta.updated': now},
       $setOnInsert: {
         dataHubId: record.dataHubId, docId: record.docId,
         'meta.created': now
       }
-    }, {...database.writeOptions, upsert: true});
-
-    if(result.result.n > 0) {
-      // document chunk upserted or modified: success
-      return true;
-    }
+    }, {
+      ...database.writeOptions,
+      projection: CHUNK_USAGE_FIELDS,
+      returnOriginal: true,
+      upsert: true
+    });
   } catch(e) {
+    // the new payload is not referenced by any chunk
+    await chunkStore.remove({payload});
+    await _release({dataHubId, reserved});
     if(!database.isDuplicateError(e)) {
       throw e;
     }
+    const newer = await database.collections.dataHubDocChunk.findOne({
+      dataHubId: record.dataHubId,
+      docId: record.docId,
+      'chunk.index': chunk.index,
+      'chunk.sequence': {$gt: chunk.sequence}
+    }, {_id: 0, 'chunk.sequence': 1});
+    if(newer) {
+      throw new BedrockError(
+        'Could not update document chunk. Sequence does not match ' +
+        'associated document.',
+        'InvalidStateError', {
+          httpStatusCode: 409,
+          public: true,
+          expected: newer.chunk.sequence,
+          actual: chunk.sequence
+        }, e);
+    }
     throw new BedrockError(
       'Duplicate data hub document chunk.',
       'DuplicateError', {
@@ -540,6 +855,21 @@ api.updateChunk = async ({dataHubId, docId, chunk}) => {
       }, e);
   }
 
+  if(result.lastErrorObject.n > 0) {
+    // document chunk upserted or modified: success; remove any payload
+    // that was replaced
+    const {value: previous} = result;
+    if(previous && previous.payload) {
+      await chunkStore.remove({payload: previous.payload});
+    }
+    // correct the reservation if the replaced chunk changed concurrently
+    await _release(
+      {dataHubId, reserved, used: _getChunkUsage({chunk, previous})});
+    return {payload};
+  }
+
+  await chunkStore.remove({payload});
+  await _release({dataHubId, reserved});
   throw new BedrockError(
     'Could not update document chunk. Sequence does not match ' +
     'associated document.',
@@ -556,10 +886,17 @@ api.updateChunk = async ({dataHubId, docId, chunk}) => {
  * @param {string} dataHubId the ID of the data hub that the document is in.
  * @param {string} docId the ID of the document the chunk is associated with.
  * @param {number} chunkIndex the index of the chunk.
+ * @param {boolean} [includeCiphertext=true] `false` to skip reading the
+ *   chunk's ciphertext (e.g., when only its sequence is needed).
  *
- * @return {Promise<Object>} resolves to `{chunk, meta}`.
+ * @return {Promise<Object>} resolves to `{chunk, meta, payload}`; `payload`
+ *   references the chunk's ciphertext in the chunk store and is replaced
+ *   whenever the chunk is written (it is `undefined` for chunks that have not
+ *   been migrated to a chunk store).
  */
-api.getChunk = async ({dataHubId, docId, chunkIndex}) => {
+api.getChunk = async ({
+  dataHubId, docId, chunkIndex, includeCiphertext = true
+}) => {
   assert.string(dataHubId, 'dataHubId');
   assert.string(docId, 'docId');
   _assert128BitId(docId);
@@ -568,11 +905,10 @@ api.getChunk = async ({dataHubId, docId, chunkIndex}) => {
     throw new TypeError('"chunk.index" must be a non-negative integer.');
   }
 
-  // TODO: store chunks as files instead of documents
   const record = await database.collections.dataHubDocChunk.findOne({
     dataHubId: database.hash(dataHubId), docId: database.hash(docId),
     'chunk.index': chunkIndex
-  }, {_id: 0, chunk: 1, meta: 1});
+  }, {_id: 0, chunk: 1, meta: 1, payload: 1});
   if(!record) {
     throw new BedrockError(
       'Data hub document chunk not found.',
@@ -582,7 +918,14 @@ api.getChunk = async ({dataHubId, docId, chunkIndex}) => {
       });
   }
 
-  return record;
+  // restore ciphertext from chunk store (unless it is stored inline because
+  // the chunk has not been migrated)
+  const {chunk, meta, payload} = record;
+  if(payload && includeCiphertext) {
+    chunk.jwe.ciphertext = await chunkStore.read({payload});
+  }
+
+  return {chunk, meta, payload};
 };
 
 /**
@@ -604,14 +947,179 @@ api.removeChunk = async ({dataHubId, docId, chunkIndex}) => {
     throw new TypeError('"chunk.index" must be a non-negative integer.');
   }
 
-  // TODO: store chunks as files instead of documents
-  const result = await database.collections.dataHubDocChunk.remove({
-    dataHubId: database.hash(dataHubId), docId: database.hash(docId),
-    'chunk.index': chunkIndex
+  const count = await chunkStore.removeChunks({
+    query: {
+      dataHubId: database.hash(dataHubId), docId: database.hash(docId),
+      'chunk.index': chunkIndex
+    }
   });
-  return result.result.n !== 0;
+  if(count === 0) {
+    return false;
+  }
+  await usage.touch({dataHubId});
+  return true;
+};
+
+/**
+ * Copies a data hub document, along with its chunks, to another data hub
+ * (optionally moving it). The document is copied as is, including its
+ * sequence, index entries, and ciphertext; chunks are only copied if they
+ * are current (i.e., their sequence matches the document's). The document
+ * must not already exist in the target data hub.
+ *
+ * When moving, the source document is only removed once the copy (including
+ * all of its chunks) has been stored. If the source document has changed in
+ * the meantime, it is not removed and an `InvalidStateError` is thrown.
+ *
+ * If copying a chunk fails, the copy is removed from the target data hub
+ * along with its chunks and the change recorded when it was inserted.
+ *
+ * @param {string} sourceDataHubId the ID of the data hub to copy from.
+ * @param {string} id the ID of the document to copy.
+ * @param {string} targetDataHubId the ID of the data hub to copy to.
+ * @param {boolean} [move=false] `true` to remove the source document once it
+ *   has been copied.
+ *
+ * @return {Promise<Object>} resolves to `{doc, chunks}`, the copied document
+ *   and the number of chunks copied.
+ */
+api.copy = async ({sourceDataHubId, id, targetDataHubId, move = false}) => {
+  assert.string(sourceDataHubId, 'sourceDataHubId');
+  assert.string(id, 'id');
+  assert.string(targetDataHubId, 'targetDataHubId');
+  assert.bool(move, 'move');
+  if(sourceDataHubId === targetDataHubId) {
+    throw new BedrockError(
+      'Could not copy document; the source and target data hubs must differ.',
+      'DataError', {public: true, httpStatusCode: 400});
+  }
+
+  const {doc} = await api.get({dataHubId: sourceDataHubId, id});
+  const chunkRecords = await database.collections.dataHubDocChunk.find({
+    dataHubId: database.hash(sourceDataHubId),
+    docId: database.hash(id),
+    'chunk.sequence': doc.sequence
+  }, {_id: 0, 'chunk.index': 1}).sort({'chunk.index': 1}).toArray();
+
+  // inserting the document claims its ID in the target data hub, so no
+  // existing document or chunks there can be overwritten
+  const since = await changes.getCursor({dataHubId: targetDataHubId});
+  await api.insert({dataHubId: targetDataHubId, doc});
+  try {
+    for(const {chunk: {index}} of chunkRecords) {
+      const {chunk} = await api.getChunk(
+        {dataHubId: sourceDataHubId, docId: id, chunkIndex: index});
+      await api.updateChunk({dataHubId: targetDataHubId, docId: id, chunk});
+    }
+  } catch(e) {
+    // remove the incomplete copy along with the change its insertion
+    // recorded, like a rolled back batch (see `batch.js`); a copy that was
+    // changed by another request in the meantime is left as is and its
+    // chunks with a stale sequence are removed by the chunk collector
+    const query = {
+      dataHubId: database.hash(targetDataHubId),
+      docId: database.hash(id)
+    };
+    const result = await database.collections.dataHubDoc.remove({
+      dataHubId: query.dataHubId,
+      id: query.docId,
+      'doc.sequence': doc.sequence,
+      'meta.deleted': {$exists: false}
+    }, database.writeOptions);
+    if(result.result.n > 0) {
+      await chunkStore.removeChunks(
+        {query: {...query, 'chunk.sequence': doc.sequence}});
+      await usage.update({
+        dataHubId: targetDataHubId,
+        usage: usage.difference({}, usage.getDocUsage(doc))
+      });
+      await changes.removeDocChanges(
+        {dataHubId: targetDataHubId, id, sequence: doc.sequence, since});
+    }
+    throw e;
+  }
+
+  if(move) {
+    // if the source document was concurrently removed, there is nothing left
+    // to do
+    await api.remove({dataHubId: sourceDataHubId, id, sequence: doc.sequence});
+  }
+
+  return {doc, chunks: chunkRecords.length};
 };
 
+async function _removeDataHub({id}) {
+  // note: each step is idempotent so that removal can be safely resumed
+  const dataHubId = database.hash(id);
+  await chunkStore.removeChunks({query: {dataHubId}});
+  await revisions.remove({query: {dataHubId}});
+  await changes.remove({dataHubId: id});
+  await database.collections.dataHubDoc.remove(
+    {dataHubId}, database.writeOptions);
+  await usage.remove({dataHubId: id});
+
+  // remove all authorizations with invocation targets in the data hub
+  const prefix = new RegExp('^' + escapeRegExp(`${id}/`));
+  const authorizations = await brZCapStorage.authorizations.find({
+    query: {
+      $or: [
+        {'authorization.capability.invocationTarget': prefix},
+        {'authorization.capability.invocationTarget.id': prefix}
+      ]
+    },
+    fields: {
+      _id: 0,
+      'authorization.controller': 1,
+      'authorization.capability.id': 1
+    }
+  });
+  for(const {authorization} of authorizations) {
+    const {controller, capability} = authorization;
+    await brZCapStorage.authorizations.remove(
+      {controller, id: capability.id});
+  }
+  await revocations.remove({dataHubId: id});
+
+  // finally, remove the configuration itself
+  const result = await database.collections.dataHubConfig.remove(
+    {id: dataHubId}, database.writeOptions);
+  return result.result.n !== 0;
+}
+
+async function _getRevisionRetention({dataHubId}) {
+  const record = await database.collections.dataHubConfig.findOne(
+    {id: database.hash(dataHubId)},
+    {_id: 0, 'config.revisionRetention': 1});
+  return (record && record.config.revisionRetention) || null;
+}
+
+function _getDocUsage({doc, previous}) {
+  // usage added by storing `doc` in place of `previous`
+  return usage.difference(
+    usage.getDocUsage(doc), previous ? usage.getDocUsage(previous.doc) : {});
+}
+
+function _getChunkUsage({chunk, previous}) {
+  // usage added by storing `chunk` in place of the `previous` chunk record
+  return usage.difference(
+    usage.getChunkUsage({chunk}),
+    previous ? usage.getChunkUsage(previous) : {});
+}
+
+async function _release({dataHubId, reserved, used = {}}) {
+  // release the part of a usage reservation that was not used
+  await usage.update({dataHubId, usage: usage.difference(used, reserved)});
+}
+
+async function _resumeConfigRemovals() {
+  const records = await database.collections.dataHubConfig.find(
+    {'meta.removing': {$exists: true}}, {_id: 0, 'config.id': 1}).toArray();
+  for(const {config} of records) {
+    logger.info('Resuming data hub removal.', {dataHub: config.id});
+    await _removeDataHub({id: config.id});
+  }
+}
+
 function _buildUniqueAttributesIndex(doc) {
   const uniqueAttributes = [];
 
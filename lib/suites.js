@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const jsigs = require('jsonld-signatures');
+const {BedrockError} = bedrock.util;
+const EcdsaSecp256r1Signature2019 = require(
+  './signatureSuites/EcdsaSecp256r1Signature2019');
+const Ed25519Signature2020 = require('./signatureSuites/Ed25519Signature2020');
+
+// load config defaults
+require('./config');
+
+/* Note: Capability delegation proofs are verified using the signature suites
+allowed by the `suites` config: `suites.invocation` lists the suites accepted
+in the delegation chains of capabilities that are invoked and
+`suites.delegation` lists the suites accepted in the delegation chains of
+capabilities that are stored via `POST /data-hubs/:dataHubId/authorizations`
+or revoked. `Ed25519Signature2018` is provided by `jsonld-signatures`;
+`Ed25519Signature2020` and `EcdsaSecp256r1Signature2019` (for P-256 keys) are
+provided by this module, as no versions of them are compatible with the
+version of `jsonld-signatures` used here; `EcdsaSecp256k1Signature2019` is
+provided by an optional dependency that is only loaded when the suite is
+allowed. Other suites may be registered by other modules. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// registered signature suites: name => {create}
+const _suites = new Map();
+
+/**
+ * Registers a signature suite.
+ *
+ * @param {string} name the name of the suite (its proof type), used to allow
+ *   it via the `suites` config.
+ * @param {Function} create a function that returns a new instance of the
+ *   suite for verifying proofs.
+ */
+api.register = ({name, create}) => {
+  assert.string(name, 'name');
+  assert.func(create, 'create');
+  if(_suites.has(name)) {
+    throw new Error(`Signature suite "${name}" is already registered.`);
+  }
+  _suites.set(name, {create});
+};
+
+/**
+ * Gets the signature suites allowed for verifying capabilities for a
+ * purpose.
+ *
+ * @param {string} purpose `invocation` or `delegation`.
+ *
+ * @return {Array} new instances of the allowed suites.
+ */
+api.get = ({purpose}) => {
+  assert.string(purpose, 'purpose');
+  const allowed = config['data-hub-storage'].suites[purpose] || [];
+  return allowed.map(name => {
+    const entry = _suites.get(name);
+    if(!entry) {
+      throw new BedrockError(
+        `Signature suite "${name}" is not registered.`,
+        'NotFoundError', {suite: name});
+    }
+    return entry.create();
+  });
+};
+
+// register built-in suites
+api.register({
+  name: 'Ed25519Signature2018',
+  create: () => new jsigs.suites.Ed25519Signature2018()
+});
+api.register({
+  name: 'Ed25519Signature2020',
+  create: () => new Ed25519Signature2020()
+});
+api.register({
+  name: 'EcdsaSecp256r1Signature2019',
+  create: () => new EcdsaSecp256r1Signature2019()
+});
+api.register({
+  name: 'EcdsaSecp256k1Signature2019',
+  create: () => {
+    const EcdsaSecp256k1Signature2019 = require(
+      'ecdsa-secp256k1-signature-2019');
+    return new EcdsaSecp256k1Signature2019();
+  }
+});
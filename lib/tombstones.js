@@ -0,0 +1,120 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const chunkStore = require('./chunkStore');
+const database = require('bedrock-mongodb');
+const logger = require('./logger');
+const revisions = require('./revisions');
+const usage = require('./usage');
+const {promisify} = require('util');
+
+// load config defaults
+require('./config');
+
+/* Note: Removing a data hub document does not remove it from storage right
+away. Instead, it is marked as deleted via `meta.deleted`, leaving a
+tombstone that records its ID and last sequence. Deleted documents are not
+returned by `get` or `find` but they can be restored until the configured
+retention period passes, at which point they are purged (permanently removed
+along with their chunks and revisions). */
+
+// module API
+const api = {};
+module.exports = api;
+
+let _timer = null;
+let _purging = null;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.createIndexes)([{
+    // find tombstones to purge
+    collection: 'dataHubDoc',
+    fields: {'meta.deleted': 1},
+    options: {
+      partialFilterExpression: {'meta.deleted': {$exists: true}},
+      unique: false,
+      background: false
+    }
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', () => {
+  const cfg = config['data-hub-storage'].tombstones;
+  if(!cfg.enabled) {
+    return;
+  }
+  _timer = setInterval(() => {
+    api.purge().catch(e => logger.error(
+      'Deleted document purge failed.', {error: e}));
+  }, cfg.interval);
+  // do not keep the process alive just to purge tombstones
+  _timer.unref();
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  clearInterval(_timer);
+  _timer = null;
+  // let any in progress purge finish
+  if(_purging) {
+    await _purging.catch(() => {});
+  }
+});
+
+/**
+ * Permanently removes all deleted documents whose retention period has
+ * passed, along with their chunks and revisions. If a purge is already
+ * running in this process, its result is returned instead of starting
+ * another.
+ *
+ * @return {Promise<Object>} resolves to the counts of removed records:
+ *   `{documents, chunks}`.
+ */
+api.purge = async () => {
+  if(!_purging) {
+    _purging = _purge().finally(() => _purging = null);
+  }
+  return _purging;
+};
+
+async function _purge() {
+  const {batchSize, retentionPeriod} = config['data-hub-storage'].tombstones;
+  const counts = {documents: 0, chunks: 0};
+  const before = Date.now() - retentionPeriod;
+
+  while(true) {
+    const tombstones = await database.collections.dataHubDoc.find(
+      {'meta.deleted': {$lt: before}},
+      {
+        _id: 1, dataHubId: 1, id: 1, 'meta.deleted': 1,
+        'doc.jwe.ciphertext': 1, 'doc.indexed.hmac.id': 1
+      }
+    ).limit(batchSize).toArray();
+    if(tombstones.length === 0) {
+      break;
+    }
+
+    for(const {_id, dataHubId, id, meta, doc} of tombstones) {
+      // remove the tombstone last so the purge can be resumed if interrupted
+      counts.chunks += await chunkStore.removeChunks(
+        {query: {dataHubId, docId: id}});
+      await revisions.remove({query: {dataHubId, id}});
+      // only remove the tombstone if it was not restored in the meantime
+      const result = await database.collections.dataHubDoc.remove(
+        {_id, 'meta.deleted': meta.deleted}, database.writeOptions);
+      if(result.result.n > 0) {
+        counts.documents++;
+        await usage.update({
+          hash: dataHubId,
+          usage: usage.difference({}, usage.getDocUsage(doc))
+        });
+      }
+    }
+  }
+
+  logger.info('Deleted document purge complete.', {counts});
+  return counts;
+}
@@ -0,0 +1,103 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const crypto = require('crypto');
+const database = require('bedrock-mongodb');
+const {promisify} = require('util');
+const getRandomBytes = promisify(crypto.randomBytes);
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: Copying (or moving) a document to another data hub requires the
+caller to invoke a capability to read (or write, to move) the source document
+and a capability to write to the target data hub's documents. Since a request
+can only invoke one capability, this is done in two steps: invoking the
+source capability creates a short-lived, single use transfer that is bound to
+the invoker, and invoking the target capability redeems it. Transfers are
+stored in the `dataHubTransfer` collection and expire via a TTL index. */
+
+// module API
+const api = {};
+module.exports = api;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(['dataHubTransfer']);
+
+  await promisify(database.createIndexes)([{
+    // cover transfer queries by ID
+    collection: 'dataHubTransfer',
+    fields: {id: 1},
+    options: {unique: true, background: false}
+  }, {
+    // expire transfers
+    collection: 'dataHubTransfer',
+    fields: {'meta.expires': 1},
+    options: {
+      expireAfterSeconds: 0,
+      unique: false,
+      background: false
+    }
+  }]);
+});
+
+/**
+ * Creates a transfer of a data hub document.
+ *
+ * @param {string} dataHubId the ID of the data hub the document is in.
+ * @param {string} docId the ID of the document.
+ * @param {string} invoker the invoker that may redeem the transfer.
+ * @param {boolean} [move=false] `true` if the document is to be moved.
+ *
+ * @return {Promise<Object>} resolves to `{id, expires}`.
+ */
+api.create = async ({dataHubId, docId, invoker, move = false}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.string(docId, 'docId');
+  assert.string(invoker, 'invoker');
+  assert.bool(move, 'move');
+
+  const id = (await getRandomBytes(16)).toString('hex');
+  const now = Date.now();
+  const expires = new Date(now + config['data-hub-storage'].transfers.ttl);
+  await database.collections.dataHubTransfer.insert({
+    id: database.hash(id),
+    meta: {created: now, expires},
+    transfer: {dataHubId, docId, invoker, move}
+  }, database.writeOptions);
+  return {id, expires};
+};
+
+/**
+ * Redeems a transfer; a transfer can only be redeemed once.
+ *
+ * @param {string} id the ID of the transfer.
+ * @param {string} invoker the invoker redeeming the transfer.
+ *
+ * @return {Promise<Object>} resolves to `{dataHubId, docId, move}`.
+ */
+api.redeem = async ({id, invoker}) => {
+  assert.string(id, 'id');
+  assert.string(invoker, 'invoker');
+
+  // expired transfers may not have been removed yet
+  const result = await database.collections.dataHubTransfer.findOneAndDelete({
+    id: database.hash(id),
+    'transfer.invoker': invoker,
+    'meta.expires': {$gt: new Date()}
+  }, {projection: {_id: 0, transfer: 1}});
+  if(!result.value) {
+    throw new BedrockError(
+      'Data hub document transfer not found.',
+      'NotFoundError',
+      {transfer: id, httpStatusCode: 404, public: true});
+  }
+  const {dataHubId, docId, move} = result.value.transfer;
+  return {dataHubId, docId, move};
+};
@@ -0,0 +1,359 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const assert = require('assert-plus');
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const database = require('bedrock-mongodb');
+const {getCiphertextSize} = require('./util');
+const {promisify} = require('util');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: The storage used by each data hub is tracked by counters in the
+`dataHubUsage` collection: the number of `documents` and document `chunks`
+stored, the total size, in `bytes`, of their ciphertext, and the number of
+document index entries per HMAC key (`indexes`). Deleted documents (and their
+chunks) count until they are purged. The time documents or chunks in the data
+hub were last written or deleted is also recorded.
+
+Counters are updated incrementally as records are written and removed. A
+write that adds to a data hub's usage must first `reserve` it, which checks
+the data hub's quota (see the `quotas` config) and updates the counters in a
+single atomic operation, so concurrent writes cannot exceed a quota. If the
+write then fails, the reservation is released.
+
+Usage amounts are objects with any of the properties `documents`, `chunks`,
+`bytes`, and `indexes` (HMAC key ID => number of index entries); amounts may
+be negative.
+
+Data hubs that were created before usage was tracked have no counters; their
+counters are computed from their stored records the first time they are
+needed. */
+
+// module API
+const api = {};
+module.exports = api;
+
+// usage fields that quotas apply to
+const FIELDS = ['documents', 'chunks', 'bytes'];
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await promisify(database.openCollections)(['dataHubUsage']);
+
+  await promisify(database.createIndexes)([{
+    // one usage record per data hub
+    collection: 'dataHubUsage',
+    fields: {dataHubId: 1},
+    options: {unique: true, background: false}
+  }]);
+});
+
+/**
+ * Gets the storage used by a data hub.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise<Object>} resolves to
+ *   `{documents, chunks, bytes, indexes, lastModified}`, where `indexes`
+ *   maps HMAC key IDs to numbers of index entries and `lastModified` is the
+ *   time documents or chunks were last written or deleted (or `null`).
+ */
+api.get = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  const hash = database.hash(dataHubId);
+  const record = await _getRecord({hash}) || await _init({hash});
+  const {usage, meta} = record;
+  const indexes = {};
+  for(const {id, entries} of Object.values(usage.indexes || {})) {
+    if(entries !== 0) {
+      indexes[id] = entries;
+    }
+  }
+  return {
+    documents: usage.documents,
+    chunks: usage.chunks,
+    bytes: usage.bytes,
+    indexes,
+    lastModified: meta.modified || null
+  };
+};
+
+/**
+ * Gets the quota for a data hub. The server default quota (`quotas.default`)
+ * may be overridden per controller (`quotas.controllers`) and then per data
+ * hub (`quotas.dataHubs`); each limit is overridden individually.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise<Object>} resolves to `{documents, chunks, bytes}`, where
+ *   a limit of `null` means there is no limit.
+ */
+api.getQuota = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  const {quotas} = config['data-hub-storage'];
+  let controllerQuota;
+  if(Object.keys(quotas.controllers).length > 0) {
+    const record = await database.collections.dataHubConfig.findOne(
+      {id: database.hash(dataHubId)}, {_id: 0, 'config.controller': 1});
+    if(record) {
+      controllerQuota = quotas.controllers[record.config.controller];
+    }
+  }
+  const quota = {
+    ...quotas.default, ...controllerQuota, ...quotas.dataHubs[dataHubId]
+  };
+  const result = {};
+  for(const field of FIELDS) {
+    result[field] = typeof quota[field] === 'number' ? quota[field] : null;
+  }
+  return result;
+};
+
+/**
+ * Adds to the storage used by a data hub, provided that doing so does not
+ * exceed the data hub's quota, and records that the data hub was modified.
+ * If the write the usage is reserved for fails, the reservation must be
+ * released via `update` with the negated amounts.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {Object} usage the amounts to add.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.reserve = async ({dataHubId, usage}) => {
+  assert.string(dataHubId, 'dataHubId');
+  assert.object(usage, 'usage');
+
+  const hash = database.hash(dataHubId);
+  const quota = await api.getQuota({dataHubId});
+  const query = {dataHubId: hash};
+  for(const field of FIELDS) {
+    const amount = usage[field] || 0;
+    if(amount > 0 && quota[field] !== null) {
+      query[`usage.${field}`] = {$lte: quota[field] - amount};
+    }
+  }
+
+  let updated = await _inc({query, usage, modified: true});
+  if(!updated && !await _getRecord({hash})) {
+    // usage not tracked yet
+    await _init({hash});
+    updated = await _inc({query, usage, modified: true});
+  }
+  if(updated) {
+    return;
+  }
+
+  const {usage: current} = await _getRecord({hash});
+  throw new BedrockError(
+    'Data hub quota exceeded.',
+    'QuotaExceededError', {
+      dataHub: dataHubId,
+      quota,
+      usage: {
+        documents: current.documents,
+        chunks: current.chunks,
+        bytes: current.bytes
+      },
+      httpStatusCode: 403,
+      public: true
+    });
+};
+
+/**
+ * Updates the storage used by a data hub without checking its quota, e.g.,
+ * when records are removed or to release a reservation. Nothing is updated
+ * if the data hub's usage is not tracked yet.
+ *
+ * @param {string} [dataHubId] the ID of the data hub.
+ * @param {string} [hash] the hash of the ID of the data hub (as stored in
+ *   database records), may be given instead of `dataHubId`.
+ * @param {Object} usage the amounts to add.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.update = async ({dataHubId, hash, usage}) => {
+  assert.optionalString(dataHubId, 'dataHubId');
+  assert.optionalString(hash, 'hash');
+  assert.object(usage, 'usage');
+  if(!hash) {
+    assert.string(dataHubId, 'dataHubId');
+    hash = database.hash(dataHubId);
+  }
+  const amounts = [
+    ...FIELDS.map(field => usage[field]),
+    ...Object.values(usage.indexes || {})
+  ];
+  if(amounts.every(amount => !amount)) {
+    return;
+  }
+  await _inc({query: {dataHubId: hash}, usage});
+};
+
+/**
+ * Records that a data hub was modified without changing its usage, e.g.,
+ * when a document is deleted.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.touch = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  const now = Date.now();
+  await database.collections.dataHubUsage.update(
+    {dataHubId: database.hash(dataHubId)},
+    {$set: {'meta.updated': now, 'meta.modified': now}},
+    database.writeOptions);
+};
+
+/**
+ * Removes the usage record of a data hub, e.g., when the data hub is
+ * removed.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ *
+ * @return {Promise} resolves once the operation completes.
+ */
+api.remove = async ({dataHubId}) => {
+  assert.string(dataHubId, 'dataHubId');
+  await database.collections.dataHubUsage.remove(
+    {dataHubId: database.hash(dataHubId)}, database.writeOptions);
+};
+
+/**
+ * Gets the usage of a document.
+ *
+ * @param {Object} doc the document (only its `jwe.ciphertext` and the
+ *   `hmac.id` of its index entries are needed).
+ *
+ * @return {Object} the usage amounts.
+ */
+api.getDocUsage = doc => {
+  const indexes = {};
+  for(const {hmac} of doc.indexed || []) {
+    indexes[hmac.id] = (indexes[hmac.id] || 0) + 1;
+  }
+  return {documents: 1, bytes: getCiphertextSize(doc.jwe), indexes};
+};
+
+/**
+ * Gets the usage of a document chunk.
+ *
+ * @param {Object} record the `dataHubDocChunk` record (only its `payload`
+ *   and, for chunks that have not been migrated to a chunk store,
+ *   `chunk.jwe.ciphertext` are needed) or `{chunk}` for a chunk that has
+ *   not been stored yet.
+ *
+ * @return {Object} the usage amounts.
+ */
+api.getChunkUsage = ({chunk, payload}) => ({
+  chunks: 1,
+  bytes: payload ? payload.size : getCiphertextSize(chunk && chunk.jwe)
+});
+
+/**
+ * Subtracts usage amounts.
+ *
+ * @param {Object} a the amounts to subtract from.
+ * @param {Object} b the amounts to subtract.
+ *
+ * @return {Object} the difference.
+ */
+api.difference = (a, b) => {
+  const result = {indexes: {}};
+  for(const field of FIELDS) {
+    result[field] = (a[field] || 0) - (b[field] || 0);
+  }
+  const indexesA = a.indexes || {};
+  const indexesB = b.indexes || {};
+  for(const id of new Set([
+    ...Object.keys(indexesA), ...Object.keys(indexesB)])) {
+    result.indexes[id] = (indexesA[id] || 0) - (indexesB[id] || 0);
+  }
+  return result;
+};
+
+async function _inc({query, usage, modified = false}) {
+  const now = Date.now();
+  const $inc = {};
+  const $set = {'meta.updated': now};
+  if(modified) {
+    $set['meta.modified'] = now;
+  }
+  for(const field of FIELDS) {
+    $inc[`usage.${field}`] = usage[field] || 0;
+  }
+  // HMAC key IDs are URLs, so counters are keyed by their hashes
+  for(const [id, entries] of Object.entries(usage.indexes || {})) {
+    if(entries !== 0) {
+      const key = `usage.indexes.${database.hash(id)}`;
+      $inc[`${key}.entries`] = entries;
+      $set[`${key}.id`] = id;
+    }
+  }
+  const result = await database.collections.dataHubUsage.update(
+    query, {$inc, $set}, database.writeOptions);
+  return result.result.n !== 0;
+}
+
+async function _getRecord({hash}) {
+  return database.collections.dataHubUsage.findOne(
+    {dataHubId: hash}, {_id: 0, usage: 1, meta: 1});
+}
+
+async function _init({hash}) {
+  // compute usage from the data hub's records; writes that complete while
+  // this is in progress may not be counted
+  const usage = {documents: 0, chunks: 0, bytes: 0, indexes: {}};
+  let modified = null;
+  const add = ({meta}, amounts) => {
+    for(const field of FIELDS) {
+      usage[field] += amounts[field] || 0;
+    }
+    for(const [id, entries] of Object.entries(amounts.indexes || {})) {
+      const key = database.hash(id);
+      usage.indexes[key] = usage.indexes[key] || {id, entries: 0};
+      usage.indexes[key].entries += entries;
+    }
+    modified = Math.max(modified || 0, meta.updated || 0) || null;
+  };
+
+  const docs = database.collections.dataHubDoc.find({dataHubId: hash}, {
+    _id: 0, 'doc.jwe.ciphertext': 1, 'doc.indexed.hmac.id': 1,
+    'meta.updated': 1
+  });
+  let record;
+  while((record = await docs.next())) {
+    add(record, api.getDocUsage(record.doc));
+  }
+  const chunks = database.collections.dataHubDocChunk.find({dataHubId: hash}, {
+    _id: 0, payload: 1, 'chunk.jwe.ciphertext': 1, 'meta.updated': 1
+  });
+  while((record = await chunks.next())) {
+    add(record, api.getChunkUsage(record));
+  }
+
+  const now = Date.now();
+  record = {
+    dataHubId: hash,
+    meta: {created: now, updated: now, modified},
+    usage
+  };
+  try {
+    await database.collections.dataHubUsage.insert(
+      record, database.writeOptions);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // concurrently initialized
+    return _getRecord({hash});
+  }
+  return record;
+}
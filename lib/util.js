@@ -0,0 +1,134 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {BedrockError} = bedrock.util;
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Escapes a string so that it can be used as a literal in a regular
+ * expression (e.g., to build a prefix query).
+ *
+ * @param {string} string the string to escape.
+ *
+ * @return {string} the escaped string.
+ */
+api.escapeRegExp = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Encodes a page position as an opaque, URL-safe cursor.
+ *
+ * @param {Object} position the position to encode.
+ *
+ * @return {string} the cursor.
+ */
+api.encodeCursor = position => Buffer.from(JSON.stringify(position))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Decodes an opaque cursor that was created via `encodeCursor`.
+ *
+ * @param {string} cursor the cursor to decode.
+ *
+ * @return {Object} the decoded position.
+ */
+api.decodeCursor = cursor => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(
+      cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+  } catch(e) {
+    // handled below
+  }
+  if(!(position && typeof position === 'object')) {
+    throw new BedrockError(
+      'Invalid cursor.', 'DataError', {public: true, httpStatusCode: 400});
+  }
+  return position;
+};
+
+/**
+ * Retrieves a single page of records from a collection using keyset
+ * pagination. Records are ordered by `sortField` and then by their `id`
+ * (which must be unique within the query) so that a page position is stable
+ * even when many records share the same `sortField` value. If `sortField` is
+ * `id`, records are ordered by `id` alone.
+ *
+ * @param {Function} find the `find` function to call with
+ *   `{query, fields, options}` that resolves to an array of records.
+ * @param {Object} query the query to use.
+ * @param {Object} fields the fields to include or exclude (default: {}).
+ * @param {string} sortField the record field to sort by (e.g. `meta.created`)
+ *   (default: `id`).
+ * @param {number} order `1` for ascending order, `-1` for descending.
+ * @param {number} limit the maximum number of records to return.
+ * @param {string} [cursor] the cursor returned with the previous page.
+ *
+ * @return {Promise<Object>} resolves to `{records, hasMore, next}` where
+ *   `next` is the cursor to use to get the next page, if `hasMore` is `true`.
+ */
+api.findPage = async ({
+  find, query, fields = {}, sortField = 'id', order = 1, limit, cursor
+}) => {
+  if(cursor) {
+    const after = api.decodeCursor(cursor);
+    if(after.sortField !== sortField || after.order !== order) {
+      throw new BedrockError(
+        'Cursor does not match the requested sort order.',
+        'DataError', {public: true, httpStatusCode: 400});
+    }
+    const op = order === 1 ? '$gt' : '$lt';
+    const position = sortField === 'id' ? {id: {[op]: after.id}} : {
+      $or: [
+        {[sortField]: {[op]: after.value}},
+        {[sortField]: after.value, id: {[op]: after.id}}
+      ]
+    };
+    query = {$and: [query, position]};
+  }
+
+  // the page position is computed from `id` and `sortField`, so ensure they
+  // are included if other fields are explicitly included
+  if(Object.values(fields).includes(1)) {
+    fields = {...fields, id: 1, [sortField]: 1};
+  }
+
+  // retrieve one extra record to determine if there are more pages; ties
+  // are broken by `id`
+  const sort = {[sortField]: order};
+  sort.id = order;
+  const records = await find(
+    {query, fields, options: {sort, limit: limit + 1}});
+  const hasMore = records.length > limit;
+  if(!hasMore) {
+    return {records, hasMore};
+  }
+  records.length = limit;
+  const last = records[records.length - 1];
+  const next = api.encodeCursor({
+    sortField,
+    order,
+    value: sortField.split('.').reduce((value, key) => value[key], last),
+    id: last.id
+  });
+  return {records, hasMore, next};
+};
+
+/**
+ * Gets the size, in bytes, of the ciphertext of a JWE (e.g., of a document
+ * or document chunk).
+ *
+ * @param {Object} jwe the JWE.
+ *
+ * @return {number} the size of the ciphertext (`0` if it has none).
+ */
+api.getCiphertextSize = jwe => (jwe && typeof jwe.ciphertext === 'string') ?
+  Buffer.byteLength(jwe.ciphertext, 'utf8') : 0;
@@ -0,0 +1,406 @@
+/*!
+ * Copyright (c) 2019 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const {config} = bedrock;
+const didResolver = require('./didResolver');
+const jsigs = require('jsonld-signatures');
+const revocations = require('./revocations');
+const storage = require('./storage');
+const suites = require('./suites');
+const {extendContextLoader, SECURITY_CONTEXT_V2_URL} = jsigs;
+const {CapabilityDelegation} = require('ocapld');
+const {BedrockError} = bedrock.util;
+
+// load config defaults
+require('./config');
+
+/* Note: Capabilities (zcaps) for a data hub are rooted in root capabilities
+that are generated from the data hub's configuration, one per invocation
+target (see `getInvocationTarget`). Delegated capabilities are verified here
+when they are invoked (see `_authorize` in `http.js`), stored as
+authorizations, imported from an archive (see `archive.js`), or revoked. */
+
+// module API
+const api = {};
+module.exports = api;
+
+/**
+ * Gets the base URL of all data hubs, i.e., the URL of the data hubs route
+ * (see `http.js`) with a trailing slash.
+ *
+ * @return {string} the base URL.
+ */
+api.getDataHubsUrl = () => `${config.server.baseUri}/data-hubs/`;
+
+/**
+ * Dereferences a URL in a capability invocation or delegation chain. Only
+ * DIDs and DID URLs may be dereferenced (see `didResolver.js`).
+ *
+ * @param {string} url the URL to dereference.
+ *
+ * @return {Promise<Object>} resolves to `{contextUrl, documentUrl, document}`.
+ */
+api.documentLoader = async url => {
+  if(url.startsWith('did:')) {
+    return {
+      contextUrl: null,
+      documentUrl: url,
+      document: await didResolver.resolve({url})
+    };
+  }
+  const error = new Error(`Dereferencing url "${url}" is prohibited.`);
+  error.name = 'NotAllowedError';
+  error.httpStatusCode = 400;
+  throw error;
+};
+
+/**
+ * Verifies a delegated capability that is to be stored as an authorization
+ * for a data hub: its controller must be a root delegator of the data hub,
+ * it must expire within the maximum delegation lifetime, and its delegation
+ * chain must be valid, unrevoked, and rooted in a root capability of the
+ * data hub. Throws if the capability is not valid.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {string} controller the controller of the authorization.
+ * @param {Object} capability the delegated capability.
+ *
+ * @return {Promise} resolves once the capability has been verified.
+ */
+api.verifyDelegation = async ({dataHubId, controller, capability}) => {
+  // `delegatedBy` must be a root delegator; it is not permitted to delegate
+  // storing delegated capabilities
+  const {config: dataHubConfig} = await storage.getConfig(
+    {actor: null, id: dataHubId});
+  let delegator = dataHubConfig.delegator || dataHubConfig.controller;
+  if(!Array.isArray(delegator)) {
+    delegator = [delegator];
+  }
+  if(!delegator.includes(controller)) {
+    throw new BedrockError(
+      'Delegated capabilities may only be stored by a root delegator.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 400,
+        controller,
+        delegator
+      });
+  }
+
+  // the capability must expire within the maximum delegation lifetime
+  const now = Date.now();
+  const {maxDelegationTtl} = config['data-hub-storage'].zcaps;
+  if(maxDelegationTtl !== null) {
+    const maxExpires = new Date(now + maxDelegationTtl).toISOString();
+    const expires = _parseDate({capability, property: 'expires'});
+    if(!(expires <= Date.parse(maxExpires))) {
+      throw new BedrockError(
+        `Capability "${capability.id}" must have an "expires" date no ` +
+        `later than ${maxExpires}.`,
+        'NotAllowedError', {
+          public: true,
+          httpStatusCode: 400,
+          capability: capability.id,
+          maxExpires
+        });
+    }
+  }
+
+  // neither the capability nor any capability in its chain may be revoked
+  // or outside of its validity window
+  const {chain} = await api.verifyCapabilityChain({dataHubId, capability});
+  if(await revocations.isRevoked({dataHubId, capabilities: chain})) {
+    throw new BedrockError(
+      'A capability in the delegation chain has been revoked.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 400
+      });
+  }
+  for(const zcap of chain) {
+    if(typeof zcap === 'object') {
+      api.assertValidityWindow({capability: zcap, now});
+    }
+  }
+};
+
+/**
+ * Verifies the delegation chain of a delegated capability, which must be
+ * rooted in a root capability of the given data hub.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {Object} capability the delegated capability.
+ *
+ * @return {Promise<Object>} resolves to `{chain, delegators}`: the delegated
+ *   capabilities in the chain (ending with `capability`) and the delegators
+ *   that signed their delegation proofs.
+ */
+api.verifyCapabilityChain = async ({dataHubId, capability}) => {
+  // the delegation chain must be rooted in a root capability of the data hub
+  // (the first capability in the chain of the delegation proof)
+  const proofs = [].concat(capability.proof || []);
+  const proof = proofs.find(p => p.proofPurpose === 'capabilityDelegation');
+  const [expectedRootCapability] = (proof && proof.capabilityChain) || [];
+  if(!(typeof expectedRootCapability === 'string' &&
+    expectedRootCapability.startsWith(`${dataHubId}/zcaps/`))) {
+    throw new BedrockError(
+      'The capability must be delegated from a root capability of the ' +
+      'data hub.',
+      'NotAllowedError', {
+        public: true,
+        httpStatusCode: 400,
+        rootCapability: expectedRootCapability
+      });
+  }
+
+  const documentLoader = extendContextLoader(async url => {
+    // dynamically generate zcap for root capability if applicable
+    const zcap = await api.generateRootCapability({url});
+    if(zcap) {
+      return {
+        contextUrl: null,
+        documentUrl: url,
+        document: zcap
+      };
+    }
+    return api.documentLoader(url);
+  });
+
+  let capabilityChain = [];
+  const {verified, error} = await jsigs.verify(capability, {
+    suite: suites.get({purpose: 'delegation'}),
+    purpose: new CapabilityDelegation({
+      expectedRootCapability,
+      suite: suites.get({purpose: 'delegation'}),
+      inspectCapabilityChain: async options => {
+        ({capabilityChain} = options);
+        return {valid: true};
+      }
+    }),
+    documentLoader,
+    compactProof: false
+  });
+  if(!verified) {
+    throw error;
+  }
+
+  // the chain may or may not include the capability itself
+  const chain = capabilityChain.filter(
+    zcap => typeof zcap === 'string' || zcap.id !== capability.id);
+  chain.push(capability);
+  const delegators = new Set();
+  for(const zcap of chain) {
+    const delegator = typeof zcap === 'object' && _getDelegator(zcap);
+    if(delegator) {
+      delegators.add(delegator);
+    }
+  }
+  return {chain, delegators: [...delegators]};
+};
+
+/**
+ * Inspects the delegation chain of an invoked capability: no capability in
+ * it may be revoked or outside of its validity window, and each must allow
+ * any additional actions required by the invocation.
+ *
+ * @param {string} dataHubId the ID of the data hub.
+ * @param {Array} capabilityChain the capabilities in the chain.
+ * @param {Array} [additionalActions=[]] actions that must be allowed besides
+ *   the invoked action.
+ *
+ * @return {Promise<Object>} resolves to `{valid, error}`.
+ */
+api.inspectCapabilityChain = async ({
+  dataHubId, capabilityChain, additionalActions = []
+}) => {
+  if(await revocations.isRevoked(
+    {dataHubId, capabilities: capabilityChain})) {
+    return {
+      valid: false,
+      error: new BedrockError(
+        'A capability in the delegation chain has been revoked.',
+        'NotAllowedError', {
+          httpStatusCode: 400,
+          public: true
+        })
+    };
+  }
+  const now = Date.now();
+  for(const zcap of capabilityChain) {
+    if(typeof zcap !== 'object') {
+      continue;
+    }
+    try {
+      api.assertValidityWindow({capability: zcap, now});
+    } catch(error) {
+      return {valid: false, error};
+    }
+    // a capability without `allowedAction` allows any action
+    const allowedAction = [].concat(zcap.allowedAction || []);
+    const disallowed = additionalActions.find(
+      action => allowedAction.length > 0 && !allowedAction.includes(action));
+    if(disallowed) {
+      return {
+        valid: false,
+        error: new BedrockError(
+          `Capability action "${disallowed}" is not allowed.`,
+          'NotAllowedError', {
+            httpStatusCode: 400,
+            public: true
+          })
+      };
+    }
+  }
+  return {valid: true};
+};
+
+/**
+ * Asserts that the current time is within the validity window of a
+ * capability, given by its `notBefore` and `expires` dates.
+ *
+ * @param {Object} capability the capability.
+ * @param {number} [now=Date.now()] the current time.
+ */
+api.assertValidityWindow = ({capability, now = Date.now()}) => {
+  // root capabilities generated by this server have neither date, so they
+  // are always valid
+  // TODO: `notBefore` is not yet defined by the security context
+  const {maxClockSkew} = config['data-hub-storage'].zcaps;
+  const expires = _parseDate({capability, property: 'expires'});
+  if(expires !== undefined && expires + maxClockSkew <= now) {
+    throw new BedrockError(
+      `Capability "${capability.id}" expired at ${capability.expires}.`,
+      'NotAllowedError', {
+        httpStatusCode: 400,
+        public: true,
+        capability: capability.id,
+        expires: capability.expires
+      });
+  }
+  const notBefore = _parseDate({capability, property: 'notBefore'});
+  if(notBefore !== undefined && notBefore - maxClockSkew > now) {
+    throw new BedrockError(
+      `Capability "${capability.id}" is not valid before ` +
+      `${capability.notBefore}.`,
+      'NotAllowedError', {
+        httpStatusCode: 400,
+        public: true,
+        capability: capability.id,
+        notBefore: capability.notBefore
+      });
+  }
+};
+
+/**
+ * Generates the root capability with the given ID from the configuration of
+ * its data hub.
+ *
+ * @param {string} url the ID of the root capability.
+ *
+ * @return {Promise<Object>} resolves to the root capability or `null` if the
+ *   ID is not the ID of a root capability.
+ */
+api.generateRootCapability = async ({url}) => {
+  const result = api.getInvocationTarget({url});
+  if(!result) {
+    return null;
+  }
+  const {target, dataHubId} = result;
+
+  // dynamically generate zcap for root capability
+  const {config} = await storage.getConfig({actor: null, id: dataHubId});
+  return {
+    '@context': SECURITY_CONTEXT_V2_URL,
+    id: url,
+    invocationTarget: target,
+    controller: config.controller,
+    invoker: config.invoker,
+    delegator: config.delegator
+  };
+};
+
+/**
+ * Gets the invocation target of a root capability.
+ *
+ * @param {string} url the ID of the root capability.
+ *
+ * @return {Object} `{target, dataHubId}` or `null` if the ID is not the ID of
+ *   a root capability.
+ */
+api.getInvocationTarget = ({url}) => {
+  // look for `/data-hubs/<dataHubId>/zcaps/`
+  const baseStorageUrl = api.getDataHubsUrl();
+  let idx = url.indexOf(baseStorageUrl);
+  if(idx !== 0) {
+    return null;
+  }
+
+  // skip data hub ID
+  const dataHubIdIdx = baseStorageUrl.length;
+  idx = url.indexOf('/', dataHubIdIdx);
+  if(idx === -1) {
+    return null;
+  }
+  const dataHubId = `${baseStorageUrl}${url.substring(dataHubIdIdx, idx)}`;
+
+  // skip `zcaps`
+  idx = url.indexOf('zcaps/', idx + 1);
+  if(idx === -1) {
+    return null;
+  }
+
+  // valid root zcap invocation targets:
+  // `/data-hubs/<dataHubId>/documents`
+  // `/data-hubs/<dataHubId>/query`
+  // `/data-hubs/<dataHubId>/authorizations`
+  // `/data-hubs/<dataHubId>/changes`
+  // `/data-hubs/<dataHubId>/usage`
+  // `/data-hubs/<dataHubId>/audit`
+  // `/data-hubs/<dataHubId>/revocations`
+  // root `/data-hubs/<dataHubId>/documents/...`
+  const path = url.substr(idx + 6 /* 'zcaps/'.length */);
+  const targets = [
+    'documents', 'query', 'authorizations', 'changes', 'usage', 'audit',
+    'revocations'
+  ];
+  if(!(targets.includes(path) ||
+    (path.startsWith('documents/') && path.length > 10))) {
+    return null;
+  }
+
+  // return invocation target for the given root zcap URL
+  return {
+    target: `${dataHubId}/${path}`,
+    dataHubId
+  };
+};
+
+function _getDelegator(capability) {
+  // the delegator of a capability is the controller of the key that signed
+  // its delegation proof; the controller of a `did:key` key is its DID
+  const proofs = [].concat(capability.proof || []);
+  const proof = proofs.find(p => p.proofPurpose === 'capabilityDelegation');
+  const key = proof && (proof.verificationMethod || proof.creator);
+  return typeof key === 'string' ? key.split('#')[0] : null;
+}
+
+function _parseDate({capability, property}) {
+  const value = capability[property];
+  if(value === undefined) {
+    return undefined;
+  }
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if(Number.isNaN(time)) {
+    throw new BedrockError(
+      `Capability "${capability.id}" has an invalid "${property}" date.`,
+      'DataError', {
+        httpStatusCode: 400,
+        public: true,
+        capability: capability.id
+      });
+  }
+  return time;
+}
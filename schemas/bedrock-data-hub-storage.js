@@ -66,6 +66,140 @@ const dataHubConfig = {
     },
     referenceId: {
       type: 'string'
+    },
+    // retain previous document revisions either up to a maximum number per
+    // document (`count`) or for a number of days (`days`)
+    revisionRetention: {
+      type: 'object',
+      oneOf: [{required: ['count']}, {required: ['days']}],
+      additionalProperties: false,
+      properties: {
+        count: {
+          type: 'integer',
+          minimum: 1
+        },
+        days: {
+          type: 'integer',
+          minimum: 1
+        }
+      }
+    }
+  }
+};
+
+const dataHubConfigQuery = {
+  title: 'Data Hub Configuration Query',
+  type: 'object',
+  required: ['controller'],
+  // a lookup by `referenceId` is not paged, so it cannot be combined with
+  // the listing parameters
+  not: {
+    required: ['referenceId'],
+    anyOf: [
+      {required: ['referenceIdPrefix']}, {required: ['sortBy']},
+      {required: ['order']}, {required: ['limit']}, {required: ['cursor']}
+    ]
+  },
+  additionalProperties: false,
+  properties: {
+    controller: {
+      type: 'string'
+    },
+    referenceId: {
+      type: 'string'
+    },
+    referenceIdPrefix: {
+      type: 'string',
+      minLength: 1
+    },
+    sortBy: {
+      type: 'string',
+      enum: ['created', 'updated']
+    },
+    order: {
+      type: 'string',
+      enum: ['asc', 'desc']
+    },
+    // query parameters are strings
+    limit: {
+      type: 'string',
+      pattern: '^[1-9][0-9]*$'
+    },
+    cursor: {
+      type: 'string'
+    }
+  }
+};
+
+const changesQuery = {
+  title: 'Data Hub Changes Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // query parameters are strings
+    since: {
+      type: 'string',
+      pattern: '^(0|[1-9][0-9]*)$'
+    },
+    limit: {
+      type: 'string',
+      pattern: '^[1-9][0-9]*$'
+    }
+  }
+};
+
+const auditQuery = {
+  title: 'Data Hub Audit Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    start: {
+      type: 'string',
+      format: 'date-time'
+    },
+    end: {
+      type: 'string',
+      format: 'date-time'
+    },
+    // query parameters are strings
+    limit: {
+      type: 'string',
+      pattern: '^[1-9][0-9]*$'
+    },
+    cursor: {
+      type: 'string'
+    }
+  }
+};
+
+const eventsQuery = {
+  title: 'Data Hub Events Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // query parameters are strings
+    since: {
+      type: 'string',
+      pattern: '^(0|[1-9][0-9]*)$'
+    },
+    includeDoc: {
+      type: 'string',
+      enum: ['true', 'false']
+    }
+  }
+};
+
+const importQuery = {
+  title: 'Data Hub Import Query',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    id: {
+      type: 'string'
+    },
+    dryRun: {
+      type: 'string',
+      enum: ['true', 'false']
     }
   }
 };
@@ -188,7 +322,132 @@ const dataHubDocument = {
       type: 'array',
       items: [indexedEntry]
     },
-    jwe
+    jwe,
+    stream: {
+      type: 'object',
+      required: ['sequence', 'chunks'],
+      additionalProperties: false,
+      properties: {
+        sequence: {
+          type: 'integer',
+          minimum: 0
+        },
+        chunks: {
+          type: 'integer',
+          minimum: 0
+        }
+      }
+    }
+  }
+};
+
+const batch = {
+  title: 'Data Hub Document Batch',
+  type: 'object',
+  required: ['operations'],
+  additionalProperties: false,
+  properties: {
+    // roll back applied operations if any operation fails (best effort, see
+    // `batch.js`)
+    rollback: {
+      type: 'boolean'
+    },
+    operations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [{
+          type: 'object',
+          required: ['type', 'doc'],
+          additionalProperties: false,
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['insert', 'update']
+            },
+            doc: dataHubDocument
+          }
+        }, {
+          type: 'object',
+          required: ['type', 'id'],
+          additionalProperties: false,
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['delete']
+            },
+            id: {
+              type: 'string'
+            },
+            sequence: {
+              type: 'integer',
+              minimum: 0
+            }
+          }
+        }]
+      }
+    }
+  }
+};
+
+const transfer = {
+  title: 'Data Hub Document Transfer',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    move: {
+      type: 'boolean'
+    }
+  }
+};
+
+const transferRedemption = {
+  title: 'Data Hub Document Transfer Redemption',
+  type: 'object',
+  required: ['transfer'],
+  additionalProperties: false,
+  properties: {
+    transfer: {
+      type: 'string'
+    }
+  }
+};
+
+const delegatedZcap = {
+  title: 'Delegated Authorization Capability',
+  type: 'object',
+  required: ['id', 'parentCapability', 'invocationTarget', 'proof'],
+  // additional properties are covered by the capability's proof
+  additionalProperties: true,
+  properties: {
+    id: {
+      type: 'string'
+    },
+    parentCapability: {
+      type: 'string'
+    },
+    invocationTarget: {
+      anyOf: [{
+        type: 'string'
+      }, {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: {
+            type: 'string'
+          }
+        }
+      }]
+    },
+    proof: {
+      anyOf: [{
+        type: 'object'
+      }, {
+        type: 'array',
+        minItems: 1,
+        items: {type: 'object'}
+      }]
+    }
   }
 };
 
@@ -214,39 +473,157 @@ const dataHubDocumentChunk = {
   }
 };
 
+const queryFilterDefinitions = {
+  filter: {
+    title: 'Data Hub Document Query Filter',
+    type: 'object',
+    minProperties: 1,
+    maxProperties: 1,
+    additionalProperties: false,
+    properties: {
+      equals: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: {
+          type: 'string'
+        }
+      },
+      in: {
+        type: 'object',
+        minProperties: 1,
+        maxProperties: 1,
+        additionalProperties: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'string'
+          }
+        }
+      },
+      has: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'string'
+        }
+      },
+      hasNot: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'string'
+        }
+      },
+      and: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          $ref: '#/definitions/filter'
+        }
+      },
+      or: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          $ref: '#/definitions/filter'
+        }
+      },
+      not: {
+        $ref: '#/definitions/filter'
+      }
+    }
+  }
+};
+
+const queryFilter = {
+  title: 'Data Hub Document Query Filter',
+  $ref: '#/definitions/filter',
+  definitions: queryFilterDefinitions
+};
+
+const indexQueryProperties = {
+  index: {
+    type: 'string'
+  },
+  equals: {
+    type: 'array',
+    minItems: 1,
+    items: [{
+      type: 'object',
+      // items will be `key: value` pairs where values are strings but
+      // keys are free-form
+    }]
+  },
+  has: {
+    type: 'array',
+    minItems: 1,
+    items: [{
+      type: 'string'
+    }]
+  },
+  filter: {
+    $ref: '#/definitions/filter'
+  }
+};
+
+const indexQueryRequired = [
+  {required: ['equals']},
+  {required: ['has']},
+  {required: ['filter']}
+];
+
 const query = {
   title: 'Data Hub Document Query',
   type: 'object',
-  required: ['index'],
-  anyOf: [
-    {required: ['equals']},
-    {required: ['has']}
-  ],
+  oneOf: [{
+    required: ['index'],
+    anyOf: indexQueryRequired
+  }, {
+    required: ['indexes'],
+    not: {
+      anyOf: [{required: ['index']}, ...indexQueryRequired]
+    }
+  }],
   additionalProperties: false,
+  definitions: queryFilterDefinitions,
   properties: {
-    index: {
-      type: 'string'
-    },
-    equals: {
+    ...indexQueryProperties,
+    indexes: {
       type: 'array',
       minItems: 1,
-      items: [{
+      items: {
         type: 'object',
-        // items will be `key: value` pairs where values are strings but
-        // keys are free-form
-      }]
+        required: ['index'],
+        anyOf: indexQueryRequired,
+        additionalProperties: false,
+        properties: indexQueryProperties
+      }
     },
-    has: {
-      type: 'array',
-      minItems: 1,
-      items: [{
-        type: 'string'
-      }]
+    limit: {
+      type: 'integer',
+      minimum: 1
+    },
+    cursor: {
+      type: 'string'
+    },
+    returnType: {
+      type: 'string',
+      enum: ['documents', 'ids', 'count']
     }
   }
 };
 
 module.exports.config = () => dataHubConfig;
+module.exports.configQuery = () => dataHubConfigQuery;
+module.exports.auditQuery = () => auditQuery;
+module.exports.changesQuery = () => changesQuery;
+module.exports.eventsQuery = () => eventsQuery;
+module.exports.importQuery = () => importQuery;
+module.exports.batch = () => batch;
 module.exports.chunk = () => dataHubDocumentChunk;
+module.exports.delegatedZcap = () => delegatedZcap;
 module.exports.document = () => dataHubDocument;
 module.exports.query = () => query;
+module.exports.queryFilter = () => queryFilter;
+module.exports.transfer = () => transfer;
+module.exports.transferRedemption = () => transferRedemption;
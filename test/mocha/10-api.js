@@ -4,9 +4,17 @@
 'use strict';
 
 const brDataHubStorage = require('bedrock-data-hub-storage');
+const {config} = require('bedrock');
 const database = require('bedrock-mongodb');
+const EcdsaSecp256k1Signature2019 = require('ecdsa-secp256k1-signature-2019');
+const EcdsaSecp256r1Signature2019 = require(
+  'bedrock-data-hub-storage/lib/signatureSuites/EcdsaSecp256r1Signature2019');
+const Ed25519Signature2020 = require(
+  'bedrock-data-hub-storage/lib/signatureSuites/Ed25519Signature2020');
 const helpers = require('./helpers');
+const jsigs = require('jsonld-signatures');
 const mockData = require('./mock.data');
+const Secp256k1KeyPair = require('secp256k1-key-pair');
 let actors;
 let accounts;
 let dataHubId;
@@ -338,6 +346,38 @@ describe('bedrock-data-hub-storage', () => {
       record.dataHubId.should.equal(database.hash(dataHubId));
       record.doc.should.deep.equal(mockData.docWithAttributes);
     });
+    it('should get only document IDs by attribute', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const records = await brDataHubStorage.find({
+        dataHubId,
+        query: {
+          'doc.indexed.hmac.id': entry.hmac.id,
+          'doc.indexed.attributes.name': {$all: [attribute.name]}
+        },
+        returnType: 'ids'
+      });
+      records.length.should.equal(1);
+      const [record] = records;
+      record.doc.should.deep.equal({
+        id: mockData.docWithAttributes.id,
+        sequence: mockData.docWithAttributes.sequence
+      });
+      should.not.exist(record.doc.jwe);
+    });
+    it('should count documents by attribute', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const count = await brDataHubStorage.find({
+        dataHubId,
+        query: {
+          'doc.indexed.hmac.id': entry.hmac.id,
+          'doc.indexed.attributes.name': {$all: [attribute.name]}
+        },
+        returnType: 'count'
+      });
+      count.should.equal(1);
+    });
     it('should find no results', async () => {
       const actor = actors['alpha@example.com'];
       const entry = mockData.docWithAttributes.indexed[0];
@@ -394,13 +434,26 @@ describe('bedrock-data-hub-storage', () => {
       });
       should.exist(result);
       result.should.equal(true);
+      // a tombstone is left behind
       const record = await database.collections.dataHubDoc.findOne({
         dataHubId: database.hash(dataHubId),
         id: database.hash(mockData.doc1.id)
       });
-      should.not.exist(record);
+      should.exist(record);
+      record.meta.deleted.should.be.a('number');
+      record.doc.id.should.equal(mockData.doc1.id);
+      let err;
+      try {
+        await brDataHubStorage.get({dataHubId, id: mockData.doc1.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      err.details.sequence.should.equal(record.doc.sequence);
+      should.exist(err.details.deleted);
     });
-    it('should return `false` for a missing document', async () => {
+    it('should return `false` for a deleted document', async () => {
       const actor = actors['alpha@example.com'];
       const result = await brDataHubStorage.remove({
         actor,
@@ -409,11 +462,6 @@ describe('bedrock-data-hub-storage', () => {
       });
       should.exist(result);
       result.should.equal(false);
-      const record = await database.collections.dataHubDoc.findOne({
-        dataHubId: database.hash(dataHubId),
-        id: database.hash(mockData.doc1.id)
-      });
-      should.not.exist(record);
     });
     it('should fail for another account', async () => {
       const actor = actors['alpha@example.com'];
@@ -433,4 +481,1409 @@ describe('bedrock-data-hub-storage', () => {
       err.name.should.equal('PermissionDenied');
     });
   }); // end `remove`
+
+  describe('restore', () => {
+    it('should restore a deleted document', async () => {
+      const result = await brDataHubStorage.restore(
+        {dataHubId, id: mockData.doc1.id});
+      result.should.equal(true);
+      const record = await brDataHubStorage.get(
+        {dataHubId, id: mockData.doc1.id});
+      record.doc.should.deep.equal(mockData.doc1);
+      should.not.exist(record.meta.deleted);
+    });
+    it('should return `false` for a document that is not deleted',
+      async () => {
+        const result = await brDataHubStorage.restore(
+          {dataHubId, id: mockData.doc1.id});
+        result.should.equal(false);
+      });
+  }); // end `restore`
+
+  describe('chunkCollector', () => {
+    let gracePeriod;
+    before(() => {
+      // collect chunks regardless of when they were last updated
+      const cfg = config['data-hub-storage'].chunkCollector;
+      gracePeriod = cfg.gracePeriod;
+      cfg.gracePeriod = -1000;
+    });
+    after(() => {
+      config['data-hub-storage'].chunkCollector.gracePeriod = gracePeriod;
+    });
+    it('should remove stale, extra, and orphaned chunks', async () => {
+      // document with one chunk in its stream and an extra chunk
+      const doc1 = {
+        ...mockData.createDoc({id: mockData.docIds[2]}),
+        stream: {sequence: 0, chunks: 1}
+      };
+      await brDataHubStorage.insert({dataHubId, doc: doc1});
+      for(const index of [0, 1]) {
+        await brDataHubStorage.updateChunk({
+          dataHubId, docId: doc1.id, chunk: mockData.createChunk({index})
+        });
+      }
+      // document with a chunk that becomes stale after an update
+      const doc2 = mockData.createDoc({id: mockData.docIds[3]});
+      await brDataHubStorage.insert({dataHubId, doc: doc2});
+      await brDataHubStorage.updateChunk({
+        dataHubId, docId: doc2.id, chunk: mockData.createChunk({index: 0})
+      });
+      await brDataHubStorage.update(
+        {dataHubId, doc: {...doc2, sequence: 1}});
+      // document with a chunk that is orphaned after the document record
+      // is removed without its chunks
+      const doc3 = mockData.createDoc({id: mockData.docIds[0]});
+      await brDataHubStorage.insert({dataHubId, doc: doc3});
+      await brDataHubStorage.updateChunk({
+        dataHubId, docId: doc3.id, chunk: mockData.createChunk({index: 0})
+      });
+      await database.collections.dataHubDoc.remove({
+        dataHubId: database.hash(dataHubId),
+        id: database.hash(doc3.id)
+      });
+
+      const counts = await brDataHubStorage.chunkCollector.sweep();
+      counts.should.deep.equal({stale: 1, extra: 1, orphaned: 1, total: 3});
+
+      // only the first chunk of the first document should remain
+      const records = await database.collections.dataHubDocChunk.find(
+        {dataHubId: database.hash(dataHubId)}).toArray();
+      records.length.should.equal(1);
+      records[0].docId.should.equal(database.hash(doc1.id));
+      records[0].chunk.index.should.equal(0);
+    });
+    it('should not remove chunks replaced during a sweep', async () => {
+      const doc = mockData.createDoc({id: mockData.docIds[4]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      await brDataHubStorage.updateChunk({
+        dataHubId, docId: doc.id, chunk: mockData.createChunk({index: 0})
+      });
+      await brDataHubStorage.update({dataHubId, doc: {...doc, sequence: 1}});
+
+      // upload the chunk for the new sequence after the stale chunk has
+      // been examined but before it is removed
+      const {chunkStore} = brDataHubStorage;
+      const {removeChunks} = chunkStore;
+      chunkStore.removeChunks = async (...args) => {
+        chunkStore.removeChunks = removeChunks;
+        await brDataHubStorage.updateChunk({
+          dataHubId, docId: doc.id,
+          chunk: mockData.createChunk({index: 0, sequence: 1})
+        });
+        return removeChunks(...args);
+      };
+      let counts;
+      try {
+        counts = await brDataHubStorage.chunkCollector.sweep();
+      } finally {
+        chunkStore.removeChunks = removeChunks;
+      }
+      counts.should.deep.equal({stale: 0, extra: 0, orphaned: 0, total: 0});
+      const {chunk} = await brDataHubStorage.getChunk(
+        {dataHubId, docId: doc.id, chunkIndex: 0});
+      chunk.sequence.should.equal(1);
+    });
+  }); // end `chunkCollector`
+
+  describe('chunkStore', () => {
+    it('should store chunk ciphertext in the chunk store', async () => {
+      const docId = mockData.docIds[2];
+      const chunk = mockData.createChunk({index: 0});
+      await brDataHubStorage.updateChunk({dataHubId, docId, chunk});
+      const record = await database.collections.dataHubDocChunk.findOne({
+        dataHubId: database.hash(dataHubId),
+        docId: database.hash(docId),
+        'chunk.index': 0
+      });
+      should.exist(record.payload);
+      record.payload.backend.should.equal('gridfs');
+      should.not.exist(record.chunk.jwe.ciphertext);
+      const result = await brDataHubStorage.getChunk(
+        {dataHubId, docId, chunkIndex: 0});
+      result.chunk.should.deep.equal(chunk);
+    });
+    it('should migrate inline chunk ciphertext', async () => {
+      const docId = mockData.docIds[2];
+      const chunk = mockData.createChunk({index: 0});
+      const query = {
+        dataHubId: database.hash(dataHubId),
+        docId: database.hash(docId),
+        'chunk.index': 0
+      };
+      // replace chunk with a record written before chunk stores existed
+      await brDataHubStorage.removeChunk({dataHubId, docId, chunkIndex: 0});
+      const now = Date.now();
+      await database.collections.dataHubDocChunk.insert(
+        {...query, meta: {created: now, updated: now}, chunk});
+      const {migrated} = await brDataHubStorage.chunkStore.migrate();
+      migrated.should.equal(1);
+      const record = await database.collections.dataHubDocChunk.findOne(
+        query);
+      should.exist(record.payload);
+      should.not.exist(record.chunk.jwe.ciphertext);
+      const result = await brDataHubStorage.getChunk(
+        {dataHubId, docId, chunkIndex: 0});
+      result.chunk.should.deep.equal(chunk);
+    });
+    it('should not replace a chunk for a newer sequence', async () => {
+      const doc = mockData.createDoc({id: mockData.docIds[5]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      await brDataHubStorage.update({dataHubId, doc: {...doc, sequence: 1}});
+      await brDataHubStorage.updateChunk({
+        dataHubId, docId: doc.id,
+        chunk: mockData.createChunk({index: 0, sequence: 1})
+      });
+      // simulate a writer that read the document before it was updated
+      const query = {
+        dataHubId: database.hash(dataHubId), id: database.hash(doc.id)
+      };
+      await database.collections.dataHubDoc.update(
+        query, {$set: {'doc.sequence': 0}});
+
+      // record the payloads written and removed by the losing write
+      const {chunkStore} = brDataHubStorage;
+      const {write, remove} = chunkStore;
+      const written = [];
+      const removed = [];
+      chunkStore.write = async (...args) => {
+        const payload = await write(...args);
+        written.push(payload.id);
+        return payload;
+      };
+      chunkStore.remove = async ({payload}) => {
+        removed.push(payload.id);
+        return remove({payload});
+      };
+      let err;
+      try {
+        await brDataHubStorage.updateChunk({
+          dataHubId, docId: doc.id, chunk: mockData.createChunk({index: 0})
+        });
+      } catch(e) {
+        err = e;
+      } finally {
+        Object.assign(chunkStore, {write, remove});
+        await database.collections.dataHubDoc.update(
+          query, {$set: {'doc.sequence': 1}});
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      removed.should.deep.equal(written);
+      const {chunk} = await brDataHubStorage.getChunk(
+        {dataHubId, docId: doc.id, chunkIndex: 0});
+      chunk.sequence.should.equal(1);
+    });
+    it('should not remove a chunk replaced during its removal', async () => {
+      const docId = mockData.docIds[2];
+      const chunk = mockData.createChunk({index: 0});
+      await brDataHubStorage.updateChunk({dataHubId, docId, chunk});
+      const collection = database.collections.dataHubDocChunk;
+      const {payload} = await collection.findOne({
+        dataHubId: database.hash(dataHubId),
+        docId: database.hash(docId),
+        'chunk.index': 0
+      });
+
+      // rewrite the chunk after it is found but before it is removed
+      const {findOneAndDelete} = collection;
+      collection.findOneAndDelete = async (...args) => {
+        delete collection.findOneAndDelete;
+        await brDataHubStorage.updateChunk({dataHubId, docId, chunk});
+        return findOneAndDelete.apply(collection, args);
+      };
+      let count;
+      try {
+        count = await brDataHubStorage.chunkStore.removeChunks(
+          {query: {'payload.id': payload.id}});
+      } finally {
+        delete collection.findOneAndDelete;
+      }
+      count.should.equal(0);
+      const result = await brDataHubStorage.getChunk(
+        {dataHubId, docId, chunkIndex: 0});
+      result.chunk.should.deep.equal(chunk);
+    });
+  }); // end `chunkStore`
+
+  describe('revisions', () => {
+    let revisionDataHubId;
+    before(async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig({
+        dataHubId: mockData.dataHubIds[2],
+        controller: account.id,
+        revisionRetention: {count: 2}
+      });
+      await brDataHubStorage.insertConfig({actor, config});
+      revisionDataHubId = config.id;
+    });
+    it('should retain the configured number of revisions', async () => {
+      const dataHubId = revisionDataHubId;
+      const doc = mockData.createDoc({id: mockData.docIds[0]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      for(let sequence = 1; sequence <= 3; ++sequence) {
+        await brDataHubStorage.update({dataHubId, doc: {...doc, sequence}});
+      }
+      const records = await brDataHubStorage.revisions.find(
+        {dataHubId, id: doc.id});
+      records.map(r => r.sequence).should.deep.equal([2, 1]);
+      const record = await brDataHubStorage.revisions.get(
+        {dataHubId, id: doc.id, sequence: 1});
+      record.doc.should.deep.equal({...doc, sequence: 1});
+    });
+    it('should get not found error for a pruned revision', async () => {
+      let err;
+      try {
+        await brDataHubStorage.revisions.get({
+          dataHubId: revisionDataHubId, id: mockData.docIds[0], sequence: 0
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should not retain revisions by default', async () => {
+      const doc = mockData.createDoc({id: mockData.docIds[1]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      await brDataHubStorage.update({dataHubId, doc: {...doc, sequence: 1}});
+      const records = await brDataHubStorage.revisions.find(
+        {dataHubId, id: doc.id});
+      records.length.should.equal(0);
+    });
+  }); // end `revisions`
+
+  describe('tombstones', () => {
+    let retentionPeriod;
+    before(() => {
+      // purge tombstones regardless of when they were deleted
+      const cfg = config['data-hub-storage'].tombstones;
+      retentionPeriod = cfg.retentionPeriod;
+      cfg.retentionPeriod = -1000;
+    });
+    after(() => {
+      config['data-hub-storage'].tombstones.retentionPeriod = retentionPeriod;
+    });
+    it('should purge deleted documents and their chunks', async () => {
+      const doc = mockData.createDoc({id: mockData.docIds[0]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      await brDataHubStorage.updateChunk({
+        dataHubId, docId: doc.id, chunk: mockData.createChunk({index: 0})
+      });
+      await brDataHubStorage.remove({dataHubId, id: doc.id});
+
+      const counts = await brDataHubStorage.tombstones.purge();
+      counts.should.deep.equal({documents: 1, chunks: 1});
+      const query = {
+        dataHubId: database.hash(dataHubId),
+        id: database.hash(doc.id)
+      };
+      let record = await database.collections.dataHubDoc.findOne(query);
+      should.not.exist(record);
+      record = await database.collections.dataHubDocChunk.findOne({
+        dataHubId: query.dataHubId, docId: query.id
+      });
+      should.not.exist(record);
+    });
+    it('should not restore a purged document', async () => {
+      const result = await brDataHubStorage.restore(
+        {dataHubId, id: mockData.docIds[0]});
+      result.should.equal(false);
+    });
+  }); // end `tombstones`
+
+  describe('batch', () => {
+    let batchDataHubId;
+    before(async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig({
+        dataHubId: mockData.dataHubIds[4], controller: account.id,
+        revisionRetention: {count: 10}
+      });
+      await brDataHubStorage.insertConfig({actor, config});
+      batchDataHubId = config.id;
+    });
+    it('should run each operation in a batch', async () => {
+      const dataHubId = batchDataHubId;
+      const doc = mockData.createDoc({id: mockData.docIds[0]});
+      const {success, results} = await brDataHubStorage.batch.write({
+        dataHubId,
+        operations: [
+          {type: 'insert', doc},
+          {type: 'update', doc: {...doc, sequence: 1}},
+          {type: 'insert', doc},
+          {type: 'delete', id: mockData.docIds[1]}
+        ]
+      });
+      success.should.equal(false);
+      results.map(r => r.status).should.deep.equal(
+        ['success', 'success', 'failed', 'failed']);
+      results[2].error.type.should.equal('DuplicateError');
+      results[3].error.type.should.equal('NotFoundError');
+      const record = await brDataHubStorage.get({dataHubId, id: doc.id});
+      record.doc.sequence.should.equal(1);
+    });
+    it('should roll back a batch that fails', async () => {
+      const dataHubId = batchDataHubId;
+      const doc = mockData.createDoc({id: mockData.docIds[0], sequence: 1});
+      const doc2 = mockData.createDoc({id: mockData.docIds[1]});
+      const {success, results} = await brDataHubStorage.batch.write({
+        dataHubId,
+        rollback: true,
+        operations: [
+          {type: 'insert', doc: doc2},
+          {type: 'update', doc: {...doc, sequence: 2}},
+          {type: 'delete', id: doc.id, sequence: 1},
+          {type: 'delete', id: doc2.id}
+        ]
+      });
+      success.should.equal(false);
+      results.map(r => r.status).should.deep.equal(
+        ['rolledBack', 'rolledBack', 'failed', 'skipped']);
+      results[2].error.type.should.equal('InvalidStateError');
+      const record = await brDataHubStorage.get({dataHubId, id: doc.id});
+      record.doc.should.deep.equal(doc);
+      let err;
+      try {
+        await brDataHubStorage.get({dataHubId, id: doc2.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should reject a batch with too many operations', async () => {
+      const cfg = config['data-hub-storage'].batch;
+      const {maxOperations} = cfg;
+      cfg.maxOperations = 1;
+      let err;
+      try {
+        const doc = mockData.createDoc({id: mockData.docIds[2]});
+        await brDataHubStorage.batch.write({
+          dataHubId: batchDataHubId,
+          operations: [{type: 'insert', doc}, {type: 'insert', doc}]
+        });
+      } catch(e) {
+        err = e;
+      } finally {
+        cfg.maxOperations = maxOperations;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+    it('should report the sequence of a removed document', async () => {
+      const dataHubId = batchDataHubId;
+      const {success, results} = await brDataHubStorage.batch.write({
+        dataHubId,
+        operations: [{type: 'delete', id: mockData.docIds[0]}]
+      });
+      success.should.equal(true);
+      results[0].status.should.equal('success');
+      results[0].sequence.should.equal(1);
+    });
+    it('should leave nothing behind when rolling back a batch', async () => {
+      const dataHubId = batchDataHubId;
+      const doc = mockData.createDoc({id: mockData.docIds[2]});
+      const doc2 = mockData.createDoc({id: mockData.docIds[3]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      const cursor = await brDataHubStorage.changes.getCursor({dataHubId});
+      const {success, results} = await brDataHubStorage.batch.write({
+        dataHubId,
+        rollback: true,
+        operations: [
+          {type: 'insert', doc: doc2},
+          {type: 'update', doc: {...doc, sequence: 1}},
+          {type: 'insert', doc}
+        ]
+      });
+      success.should.equal(false);
+      results.map(r => r.status).should.deep.equal(
+        ['rolledBack', 'rolledBack', 'failed']);
+      // no documents
+      const record = await brDataHubStorage.get({dataHubId, id: doc.id});
+      record.doc.should.deep.equal(doc);
+      let err;
+      try {
+        await brDataHubStorage.get({dataHubId, id: doc2.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      // no revisions
+      const revisions = await brDataHubStorage.revisions.find(
+        {dataHubId, id: doc.id});
+      revisions.should.have.length(0);
+      // no changes
+      const {records} = await brDataHubStorage.changes.find(
+        {dataHubId, since: cursor, limit: 10});
+      records.should.have.length(0);
+    });
+  }); // end `batch`
+
+  describe('changes', () => {
+    let changesDataHubId;
+    before(async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig(
+        {dataHubId: mockData.dataHubIds[3], controller: account.id});
+      await brDataHubStorage.insertConfig({actor, config});
+      changesDataHubId = config.id;
+    });
+    it('should record document changes in order', async () => {
+      const dataHubId = changesDataHubId;
+      const doc = mockData.createDoc({id: mockData.docIds[0]});
+      await brDataHubStorage.insert({dataHubId, doc});
+      await brDataHubStorage.update({dataHubId, doc: {...doc, sequence: 1}});
+      await brDataHubStorage.remove({dataHubId, id: doc.id});
+      await brDataHubStorage.restore({dataHubId, id: doc.id});
+      const doc2 = mockData.createDoc({id: mockData.docIds[1]});
+      await brDataHubStorage.update({dataHubId, doc: doc2});
+
+      const {records, hasMore} = await brDataHubStorage.changes.find(
+        {dataHubId, limit: 10});
+      hasMore.should.equal(false);
+      records.map(({cursor, change}) => ({cursor, ...change}))
+        .should.deep.equal([
+          {cursor: 1, type: 'insert', id: doc.id, sequence: 0},
+          {cursor: 2, type: 'update', id: doc.id, sequence: 1},
+          {cursor: 3, type: 'delete', id: doc.id, sequence: 1},
+          {cursor: 4, type: 'restore', id: doc.id, sequence: 1},
+          {cursor: 5, type: 'insert', id: doc2.id, sequence: 0}
+        ]);
+    });
+    it('should get changes since a cursor', async () => {
+      const result = await brDataHubStorage.changes.find(
+        {dataHubId: changesDataHubId, since: 2, limit: 2});
+      result.hasMore.should.equal(true);
+      result.records.map(r => r.cursor).should.deep.equal([3, 4]);
+    });
+    it('should stop at a gap left by a concurrent writer', async () => {
+      const dataHubId = changesDataHubId;
+      // simulate a writer that was assigned cursor 6 but has not recorded
+      // its change yet
+      await database.collections.dataHubChangeCounter.update(
+        {dataHubId: database.hash(dataHubId)}, {$inc: {cursor: 1}});
+      const doc = mockData.createDoc({id: mockData.docIds[2]});
+      await brDataHubStorage.insert({dataHubId, doc});
+
+      let result = await brDataHubStorage.changes.find(
+        {dataHubId, since: 4, limit: 10});
+      result.records.map(r => r.cursor).should.deep.equal([5]);
+
+      // once the gap times out, it is skipped
+      const cfg = config['data-hub-storage'].changes;
+      const {gapTimeout} = cfg;
+      cfg.gapTimeout = -1000;
+      try {
+        result = await brDataHubStorage.changes.find(
+          {dataHubId, since: 4, limit: 10});
+      } finally {
+        cfg.gapTimeout = gapTimeout;
+      }
+      result.records.map(r => r.cursor).should.deep.equal([5, 7]);
+    });
+    it('should notify subscribers of changes', async () => {
+      const dataHubId = changesDataHubId;
+      const since = await brDataHubStorage.changes.getCursor({dataHubId});
+      const doc = mockData.createDoc({id: mockData.docIds[3]});
+      let unsubscribe;
+      const notified = new Promise(resolve => {
+        unsubscribe = brDataHubStorage.notifications.subscribe(
+          {dataHubId, since, listener: resolve});
+      });
+      await brDataHubStorage.insert({dataHubId, doc});
+      const record = await notified;
+      unsubscribe();
+      record.cursor.should.equal(since + 1);
+      record.change.should.deep.equal(
+        {type: 'insert', id: doc.id, sequence: 0});
+    });
+  }); // end `changes`
+
+  describe('copy', () => {
+    let targetDataHubId;
+    before(async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig(
+        {dataHubId: mockData.dataHubIds[5], controller: account.id});
+      await brDataHubStorage.insertConfig({actor, config});
+      targetDataHubId = config.id;
+    });
+    it('should copy a document and its chunks', async () => {
+      const id = mockData.docIds[2];
+      const {doc, chunks} = await brDataHubStorage.copy(
+        {sourceDataHubId: dataHubId, id, targetDataHubId});
+      chunks.should.equal(1);
+      const source = await brDataHubStorage.get({dataHubId, id});
+      const target = await brDataHubStorage.get(
+        {dataHubId: targetDataHubId, id});
+      target.doc.should.deep.equal(source.doc);
+      target.doc.should.deep.equal(doc);
+      const sourceChunk = await brDataHubStorage.getChunk(
+        {dataHubId, docId: id, chunkIndex: 0});
+      const targetChunk = await brDataHubStorage.getChunk(
+        {dataHubId: targetDataHubId, docId: id, chunkIndex: 0});
+      targetChunk.chunk.should.deep.equal(sourceChunk.chunk);
+    });
+    it('should fail to copy a document that exists in the target',
+      async () => {
+        const id = mockData.docIds[2];
+        const before = await brDataHubStorage.get(
+          {dataHubId: targetDataHubId, id});
+        const cursor = await brDataHubStorage.changes.getCursor(
+          {dataHubId: targetDataHubId});
+        let err;
+        try {
+          await brDataHubStorage.copy(
+            {sourceDataHubId: dataHubId, id, targetDataHubId});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        const after = await brDataHubStorage.get(
+          {dataHubId: targetDataHubId, id});
+        after.should.deep.equal(before);
+        const {records} = await brDataHubStorage.changes.find(
+          {dataHubId: targetDataHubId, since: cursor, limit: 10});
+        records.should.have.length(0);
+      });
+    it('should leave nothing behind when a copy fails', async () => {
+      const id = mockData.docIds[5];
+      const cursor = await brDataHubStorage.changes.getCursor(
+        {dataHubId: targetDataHubId});
+      // fail to store the copy of the document's chunk
+      const {chunkStore} = brDataHubStorage;
+      const {write} = chunkStore;
+      chunkStore.write = async () => {
+        throw new Error('Chunk store unavailable.');
+      };
+      let err;
+      try {
+        await brDataHubStorage.copy(
+          {sourceDataHubId: dataHubId, id, targetDataHubId});
+      } catch(e) {
+        err = e;
+      } finally {
+        chunkStore.write = write;
+      }
+      should.exist(err);
+      err.message.should.equal('Chunk store unavailable.');
+      let getError;
+      try {
+        await brDataHubStorage.get({dataHubId: targetDataHubId, id});
+      } catch(e) {
+        getError = e;
+      }
+      should.exist(getError);
+      getError.name.should.equal('NotFoundError');
+      // no tombstone either
+      should.not.exist(getError.details.deleted);
+      const {records} = await brDataHubStorage.changes.find(
+        {dataHubId: targetDataHubId, since: cursor, limit: 10});
+      records.should.have.length(0);
+    });
+    it('should not remove a copy changed before the copy failed',
+      async () => {
+        const id = mockData.docIds[4];
+        const {doc} = await brDataHubStorage.get({dataHubId, id});
+        const updated = {...doc, sequence: doc.sequence + 1};
+        // update the copy before storing the copy of the document's chunk
+        // fails
+        const {chunkStore} = brDataHubStorage;
+        const {write} = chunkStore;
+        chunkStore.write = async () => {
+          chunkStore.write = write;
+          await brDataHubStorage.update(
+            {dataHubId: targetDataHubId, doc: updated});
+          throw new Error('Chunk store unavailable.');
+        };
+        const cursor = await brDataHubStorage.changes.getCursor(
+          {dataHubId: targetDataHubId});
+        let err;
+        try {
+          await brDataHubStorage.copy(
+            {sourceDataHubId: dataHubId, id, targetDataHubId});
+        } catch(e) {
+          err = e;
+        } finally {
+          chunkStore.write = write;
+        }
+        should.exist(err);
+        const target = await brDataHubStorage.get(
+          {dataHubId: targetDataHubId, id});
+        target.doc.should.deep.equal(updated);
+        const {records} = await brDataHubStorage.changes.find(
+          {dataHubId: targetDataHubId, since: cursor, limit: 10});
+        records.map(({change}) => change).should.deep.equal([
+          {type: 'insert', id, sequence: doc.sequence},
+          {type: 'update', id, sequence: updated.sequence}
+        ]);
+      });
+    it('should move a document', async () => {
+      const id = mockData.docIds[3];
+      const {doc} = await brDataHubStorage.copy(
+        {sourceDataHubId: dataHubId, id, targetDataHubId, move: true});
+      const target = await brDataHubStorage.get(
+        {dataHubId: targetDataHubId, id});
+      target.doc.should.deep.equal(doc);
+      let err;
+      try {
+        await brDataHubStorage.get({dataHubId, id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  }); // end `copy`
+
+  describe('transfers', () => {
+    it('should redeem a transfer once', async () => {
+      const invoker = 'did:key:z6MkInvoker';
+      const {id} = await brDataHubStorage.transfers.create(
+        {dataHubId, docId: mockData.docIds[2], invoker});
+      const transfer = await brDataHubStorage.transfers.redeem(
+        {id, invoker});
+      transfer.should.deep.equal(
+        {dataHubId, docId: mockData.docIds[2], move: false});
+      let err;
+      try {
+        await brDataHubStorage.transfers.redeem({id, invoker});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should not redeem a transfer for another invoker', async () => {
+      const {id} = await brDataHubStorage.transfers.create({
+        dataHubId, docId: mockData.docIds[2], invoker: 'did:key:z6MkInvoker'
+      });
+      let err;
+      try {
+        await brDataHubStorage.transfers.redeem(
+          {id, invoker: 'did:key:z6MkOther'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  }); // end `transfers`
+
+  describe('archive', () => {
+    // export the data hub documents were copied to (see `copy`)
+    const sourceId = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[5]}`;
+    let entries;
+    it('should export a data hub', async () => {
+      const actor = actors['alpha@example.com'];
+      entries = [];
+      for await (const entry of brDataHubStorage.archive.export(
+        {actor, id: sourceId})) {
+        entries.push(entry);
+      }
+      entries[0].type.should.equal('dataHub');
+      entries[0].config.id.should.equal(sourceId);
+      const docs = entries.filter(e => e.type === 'document');
+      const chunks = entries.filter(e => e.type === 'chunk');
+      docs.length.should.equal(3);
+      chunks.length.should.equal(1);
+      // chunk ciphertext is included
+      should.exist(chunks[0].chunk.jwe.ciphertext);
+    });
+    it('should validate an archive in a dry run', async () => {
+      const actor = actors['alpha@example.com'];
+      const id = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[6]}`;
+      const invalid = [...entries, {type: 'document', doc: {id: 'foo'}}];
+      const summary = await brDataHubStorage.archive.import(
+        {actor, id, entries: invalid, dryRun: true});
+      summary.dryRun.should.equal(true);
+      summary.errors.length.should.equal(1);
+      summary.errors[0].line.should.equal(invalid.length);
+      summary.errors[0].type.should.equal('ValidationError');
+      let err;
+      try {
+        await brDataHubStorage.getConfig({actor, id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should import a data hub with a different ID', async () => {
+      const actor = actors['alpha@example.com'];
+      const id = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[6]}`;
+      const summary = await brDataHubStorage.archive.import(
+        {actor, id, entries});
+      summary.id.should.equal(id);
+      summary.errors.length.should.equal(0);
+      const docs = entries.filter(e => e.type === 'document');
+      summary.documents.should.equal(docs.length);
+      for(const {doc} of docs) {
+        const record = await brDataHubStorage.get({dataHubId: id, id: doc.id});
+        record.doc.should.deep.equal(doc);
+      }
+      const [{docId, chunk}] = entries.filter(e => e.type === 'chunk');
+      const record = await brDataHubStorage.getChunk(
+        {dataHubId: id, docId, chunkIndex: chunk.index});
+      record.chunk.should.deep.equal(chunk);
+    });
+    it('should not import a data hub from another server', async () => {
+      const actor = actors['alpha@example.com'];
+      const [{config}] = entries;
+      const invalid = [{
+        ...entries[0],
+        config: {
+          ...config,
+          id: `https://example.com/data-hubs/${mockData.dataHubIds[8]}`
+        }
+      }];
+      let err;
+      try {
+        await brDataHubStorage.archive.import({actor, entries: invalid});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.details.line.should.equal(1);
+    });
+    it('should not import an authorization for another data hub', async () => {
+      const actor = actors['alpha@example.com'];
+      const id = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[8]}`;
+      const otherId = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[7]}`;
+      const [{config}] = entries;
+      const invalid = [...entries, {
+        type: 'authorization',
+        controller: config.controller,
+        capability: mockData.createZcap({
+          dataHubId: otherId, id: 'urn:zcap:foreign', invoker: 'did:foo',
+          expires: Date.now() + 60000
+        })
+      }];
+      const summary = await brDataHubStorage.archive.import(
+        {actor, id, entries: invalid, dryRun: true});
+      summary.errors.length.should.equal(1);
+      summary.errors[0].line.should.equal(invalid.length);
+      summary.errors[0].type.should.equal('DataError');
+    });
+    it('should not import an unverifiable authorization', async () => {
+      const actor = actors['alpha@example.com'];
+      const id = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[8]}`;
+      const [{config}] = entries;
+      // the capability is not signed
+      const invalid = [{...entries[0], config: {...config, id}}, {
+        type: 'authorization',
+        controller: config.controller,
+        capability: mockData.createZcap({
+          dataHubId: id, id: 'urn:zcap:unsigned', invoker: 'did:foo',
+          expires: Date.now() + 60000
+        })
+      }];
+      let err;
+      try {
+        await brDataHubStorage.archive.import({actor, entries: invalid});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.details.line.should.equal(2);
+      // the partially imported data hub is removed
+      err = null;
+      try {
+        await brDataHubStorage.getConfig({actor, id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  }); // end `archive`
+
+  describe('usage', () => {
+    let quotaDataHubId;
+    const size = Buffer.byteLength(mockData.doc1.jwe.ciphertext);
+    before(async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig(
+        {dataHubId: mockData.dataHubIds[7], controller: account.id});
+      await brDataHubStorage.insertConfig({actor, config});
+      quotaDataHubId = config.id;
+    });
+    after(() => {
+      delete config['data-hub-storage'].quotas.dataHubs[quotaDataHubId];
+    });
+    it('should enforce a document quota', async () => {
+      config['data-hub-storage'].quotas.dataHubs[quotaDataHubId] =
+        {documents: 1};
+      const dataHubId = quotaDataHubId;
+      await brDataHubStorage.insert(
+        {dataHubId, doc: mockData.createDoc({id: mockData.docIds[0]})});
+      let err;
+      try {
+        await brDataHubStorage.insert(
+          {dataHubId, doc: mockData.createDoc({id: mockData.docIds[1]})});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('QuotaExceededError');
+      err.details.quota.documents.should.equal(1);
+      err.details.usage.should.deep.equal(
+        {documents: 1, chunks: 0, bytes: size});
+      // replacing a document does not add to its data hub's usage
+      const doc = mockData.createDoc({id: mockData.docIds[0], sequence: 1});
+      await brDataHubStorage.update({dataHubId, doc});
+      const usage = await brDataHubStorage.usage.get({dataHubId});
+      usage.documents.should.equal(1);
+      usage.bytes.should.equal(size);
+    });
+    it('should enforce a byte quota on chunks', async () => {
+      config['data-hub-storage'].quotas.dataHubs[quotaDataHubId] =
+        {bytes: size * 2};
+      const dataHubId = quotaDataHubId;
+      const docId = mockData.docIds[0];
+      const chunk = mockData.createChunk({index: 0, sequence: 1});
+      await brDataHubStorage.updateChunk({dataHubId, docId, chunk});
+      let err;
+      try {
+        await brDataHubStorage.updateChunk({
+          dataHubId, docId, chunk: mockData.createChunk({index: 1, sequence: 1})
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('QuotaExceededError');
+      err.details.usage.should.deep.equal(
+        {documents: 1, chunks: 1, bytes: size * 2});
+      // replacing a chunk does not add to its data hub's usage
+      await brDataHubStorage.updateChunk({dataHubId, docId, chunk});
+    });
+    it('should release usage when chunks are removed', async () => {
+      const dataHubId = quotaDataHubId;
+      const before = await brDataHubStorage.usage.get({dataHubId});
+      await brDataHubStorage.removeChunk(
+        {dataHubId, docId: mockData.docIds[0], chunkIndex: 0});
+      const usage = await brDataHubStorage.usage.get({dataHubId});
+      usage.should.deep.equal({
+        documents: 1,
+        chunks: 0,
+        bytes: size,
+        indexes: {[mockData.doc1.indexed[0].hmac.id]: 1},
+        lastModified: usage.lastModified
+      });
+      usage.lastModified.should.be.gte(before.lastModified);
+    });
+    it('should compute the usage of an untracked data hub', async () => {
+      const dataHubId = quotaDataHubId;
+      const tracked = await brDataHubStorage.usage.get({dataHubId});
+      await database.collections.dataHubUsage.remove(
+        {dataHubId: database.hash(dataHubId)});
+      const usage = await brDataHubStorage.usage.get({dataHubId});
+      // the last modified time is estimated from the stored records
+      usage.should.deep.equal({...tracked, lastModified: usage.lastModified});
+    });
+  }); // end `usage`
+
+  describe('rateLimits', () => {
+    let cfg;
+    before(() => {
+      cfg = config['data-hub-storage'].rateLimits;
+      config['data-hub-storage'].rateLimits = {
+        ...cfg,
+        client: {read: {capacity: 1, refillRate: 0.5}},
+        dataHub: {read: {capacity: 2, refillRate: 0.5}},
+        invoker: {read: {capacity: 1, refillRate: 0.5}}
+      };
+    });
+    after(() => {
+      config['data-hub-storage'].rateLimits = cfg;
+    });
+    for(const store of ['memory', 'mongodb']) {
+      it(`should limit requests per data hub (${store})`, async () => {
+        config['data-hub-storage'].rateLimits.store = store;
+        const dataHubId = `urn:test:${store}`;
+        await brDataHubStorage.rateLimits.consume(
+          {routeClass: 'read', dataHubId});
+        await brDataHubStorage.rateLimits.consume(
+          {routeClass: 'read', dataHubId});
+        let err;
+        try {
+          await brDataHubStorage.rateLimits.consume(
+            {routeClass: 'read', dataHubId});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('RateLimitExceededError');
+        err.details.httpStatusCode.should.equal(429);
+        err.details.retryAfter.should.equal(2);
+        // other route classes and data hubs are not affected
+        await brDataHubStorage.rateLimits.consume(
+          {routeClass: 'write', dataHubId});
+        await brDataHubStorage.rateLimits.consume(
+          {routeClass: 'read', dataHubId: `${dataHubId}:other`});
+      });
+      it(`should limit requests per invoker (${store})`, async () => {
+        config['data-hub-storage'].rateLimits.store = store;
+        const invoker = `did:test:${store}`;
+        await brDataHubStorage.rateLimits.consume(
+          {routeClass: 'read', invoker});
+        let err;
+        try {
+          await brDataHubStorage.rateLimits.consume(
+            {routeClass: 'read', invoker});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('RateLimitExceededError');
+      });
+      it(`should limit requests per client (${store})`, async () => {
+        config['data-hub-storage'].rateLimits.store = store;
+        const client = `127.0.0.1:${store}`;
+        await brDataHubStorage.rateLimits.consume(
+          {routeClass: 'read', client});
+        let err;
+        try {
+          await brDataHubStorage.rateLimits.consume(
+            {routeClass: 'read', client});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('RateLimitExceededError');
+      });
+    }
+  }); // end `rateLimits`
+
+  describe('audit', () => {
+    it('should record and find audit events', async () => {
+      const event = {
+        invoker: 'did:key:z6MkInvoker',
+        keyId: 'did:key:z6MkInvoker#z6MkInvoker',
+        capability: `${dataHubId}/zcaps/documents`,
+        rootCapability: `${dataHubId}/zcaps/documents`,
+        action: 'read',
+        target: `${dataHubId}/documents`,
+        method: 'GET',
+        result: 'allowed'
+      };
+      const record = await brDataHubStorage.audit.insert({dataHubId, event});
+      record.meta.expires.should.be.a('date');
+      let records = await brDataHubStorage.audit.find(
+        {dataHubId, query: {'meta.created': {$gte: record.meta.created}}});
+      records.map(r => r.event).should.deep.include(event);
+      records = await brDataHubStorage.audit.find({
+        dataHubId: mockData.dataHubIds[7],
+        query: {'meta.created': {$gte: record.meta.created}}
+      });
+      records.should.have.length(0);
+    });
+    it('should not record audit events if disabled', async () => {
+      const cfg = config['data-hub-storage'].audit;
+      cfg.enabled = false;
+      try {
+        const record = await brDataHubStorage.audit.insert(
+          {dataHubId, event: {result: 'denied'}});
+        should.not.exist(record);
+      } finally {
+        cfg.enabled = true;
+      }
+    });
+  }); // end `audit`
+
+  describe('revocations', () => {
+    // builds a delegated capability as signed by the given key
+    const createCapability = ({id, key = 'did:key:z6MkDelegator#z6Mk'}) => ({
+      id,
+      parentCapability: `${dataHubId}/zcaps/documents`,
+      proof: {proofPurpose: 'capabilityDelegation', verificationMethod: key}
+    });
+    it('should revoke a capability', async () => {
+      const capability = createCapability({id: 'urn:zcap:revoked'});
+      const {revocations} = brDataHubStorage;
+      let revoked = await revocations.isRevoked(
+        {dataHubId, capabilities: [capability]});
+      revoked.should.equal(false);
+      await revocations.insert(
+        {dataHubId, capability, delegator: 'did:key:z6MkDelegator'});
+      revoked = await revocations.isRevoked({
+        dataHubId,
+        capabilities: [
+          `${dataHubId}/zcaps/documents`,
+          createCapability({id: 'urn:zcap:other'}),
+          capability
+        ]
+      });
+      revoked.should.equal(true);
+      // revocations are per data hub
+      revoked = await revocations.isRevoked({
+        dataHubId: mockData.dataHubIds[7], capabilities: [capability]
+      });
+      revoked.should.equal(false);
+    });
+    it('should not revoke another capability with the same ID', async () => {
+      const capability = createCapability({id: 'urn:zcap:same-id'});
+      const {revocations} = brDataHubStorage;
+      await revocations.insert({
+        dataHubId,
+        capability: createCapability(
+          {id: capability.id, key: 'did:key:z6MkOther#z6Mk'}),
+        delegator: 'did:key:z6MkOther'
+      });
+      const revoked = await revocations.isRevoked(
+        {dataHubId, capabilities: [capability]});
+      revoked.should.equal(false);
+    });
+    it('should fail to revoke a root capability', async () => {
+      const capability = createCapability(
+        {id: `${dataHubId}/zcaps/documents`});
+      let err;
+      try {
+        await brDataHubStorage.revocations.insert(
+          {dataHubId, capability, delegator: 'did:key:z6MkDelegator'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+    it('should fail to revoke a capability twice', async () => {
+      const capability = createCapability({id: 'urn:zcap:revoked-twice'});
+      const delegator = 'did:key:z6MkDelegator';
+      const {revocations} = brDataHubStorage;
+      await revocations.insert({dataHubId, capability, delegator});
+      let err;
+      try {
+        await revocations.insert({dataHubId, capability, delegator});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+  }); // end `revocations`
+
+  describe('suites', () => {
+    it('should get the allowed suites', async () => {
+      const suites = brDataHubStorage.suites.get({purpose: 'invocation'});
+      suites.should.have.length(1);
+      suites[0].type.should.equal('Ed25519Signature2018');
+    });
+    it('should fail to get a suite that is not registered', async () => {
+      const cfg = config['data-hub-storage'].suites;
+      const {delegation} = cfg;
+      cfg.delegation = [...delegation, 'UnknownSignature2019'];
+      let err;
+      try {
+        brDataHubStorage.suites.get({purpose: 'delegation'});
+      } catch(e) {
+        err = e;
+      } finally {
+        cfg.delegation = delegation;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    // generates a `did:key` key and creates a suite that signs with it for
+    // each built-in suite
+    const signers = {
+      Ed25519Signature2018: {
+        generateKey: helpers.generateDidKey,
+        createSuite: key => new jsigs.suites.Ed25519Signature2018({key})
+      },
+      Ed25519Signature2020: {
+        generateKey: helpers.generateDidKey,
+        createSuite: key => new Ed25519Signature2020({key})
+      },
+      EcdsaSecp256r1Signature2019: {
+        generateKey: helpers.generateP256DidKey,
+        createSuite: ({id, signer}) => new EcdsaSecp256r1Signature2019(
+          {signer, verificationMethod: id})
+      },
+      EcdsaSecp256k1Signature2019: {
+        generateKey: async () => {
+          const key = await Secp256k1KeyPair.generate();
+          const fingerprint = key.fingerprint();
+          key.controller = `did:key:${fingerprint}`;
+          key.id = `${key.controller}#${fingerprint}`;
+          return key;
+        },
+        createSuite: key => new EcdsaSecp256k1Signature2019({key})
+      }
+    };
+    for(const [name, {generateKey, createSuite}] of Object.entries(signers)) {
+      it(`should verify a proof with ${name}`, async () => {
+        const cfg = config['data-hub-storage'].suites;
+        const {delegation} = cfg;
+        cfg.delegation = [name];
+        let suite;
+        try {
+          [suite] = brDataHubStorage.suites.get({purpose: 'delegation'});
+        } finally {
+          cfg.delegation = delegation;
+        }
+        suite.type.should.equal(name);
+
+        const key = await generateKey();
+        const options = {
+          purpose: new jsigs.purposes.AssertionProofPurpose(),
+          documentLoader: jsigs.extendContextLoader(async url => ({
+            contextUrl: null,
+            documentUrl: url,
+            document: brDataHubStorage.didKey.get({url})
+          })),
+          compactProof: false
+        };
+        const signed = await jsigs.sign(
+          {'@context': jsigs.SECURITY_CONTEXT_V2_URL, id: 'urn:test:signed'},
+          {...options, suite: createSuite(key)});
+        let result = await jsigs.verify(signed, {...options, suite});
+        should.not.exist(result.error);
+        result.verified.should.equal(true);
+        // the proof does not verify for another document
+        result = await jsigs.verify(
+          {...signed, id: 'urn:test:other'}, {...options, suite});
+        result.verified.should.equal(false);
+      });
+    }
+  }); // end `suites`
+
+  describe('didKey', () => {
+    const {didKeys} = mockData;
+    it('should get an Ed25519 verification method', async () => {
+      const keyId = `${didKeys.ed25519}#${didKeys.ed25519.substr(8)}`;
+      const key = {
+        id: keyId,
+        type: 'Ed25519VerificationKey2018',
+        controller: didKeys.ed25519,
+        publicKeyBase58: 'B12NYF8RrR3h41TDCTJojY59usg3mbtbjnFs7Eud1Y6u'
+      };
+      const doc = brDataHubStorage.didKey.get({url: didKeys.ed25519});
+      doc.id.should.equal(didKeys.ed25519);
+      doc.publicKey.should.deep.equal([key]);
+      doc.capabilityInvocation.should.deep.equal([keyId]);
+      should.not.exist(doc.keyAgreement);
+      // dereferencing the key ID yields the key
+      brDataHubStorage.didKey.get({url: keyId}).should.deep.equal(
+        {'@context': doc['@context'], ...key});
+    });
+    it('should get an X25519 key agreement key', async () => {
+      const url = didKeys.x25519;
+      const doc = brDataHubStorage.didKey.get({url});
+      doc.publicKey[0].type.should.equal('X25519KeyAgreementKey2019');
+      doc.keyAgreement.should.deep.equal([`${url}#${url.substr(8)}`]);
+      should.not.exist(doc.capabilityInvocation);
+    });
+    it('should get elliptic curve keys', async () => {
+      let doc = brDataHubStorage.didKey.get({url: didKeys.secp256k1});
+      doc.publicKey[0].type.should.equal('EcdsaSecp256k1VerificationKey2019');
+      doc.publicKey[0].publicKeyBase58.should.be.a('string');
+      doc = brDataHubStorage.didKey.get({url: didKeys.p256});
+      doc.publicKey[0].type.should.equal('EcdsaSecp256r1VerificationKey2019');
+      doc.publicKey[0].publicKeyBase58.should.be.a('string');
+    });
+    it('should reject an unsupported key type', async () => {
+      let err;
+      try {
+        brDataHubStorage.didKey.get({url: didKeys.p384});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotSupportedError');
+    });
+    it('should verify a secp256k1 signature', async () => {
+      const key = await Secp256k1KeyPair.generate();
+      const fingerprint = key.fingerprint();
+      key.controller = `did:key:${fingerprint}`;
+      key.id = `${key.controller}#${fingerprint}`;
+      const documentLoader = jsigs.extendContextLoader(async url => ({
+        contextUrl: null,
+        documentUrl: url,
+        document: brDataHubStorage.didKey.get({url})
+      }));
+      const options = {
+        purpose: new jsigs.purposes.AssertionProofPurpose(),
+        documentLoader,
+        compactProof: false
+      };
+      const signed = await jsigs.sign(
+        {'@context': jsigs.SECURITY_CONTEXT_V2_URL, id: 'urn:test:signed'},
+        {...options, suite: new EcdsaSecp256k1Signature2019({key})});
+      let result = await jsigs.verify(
+        signed, {...options, suite: new EcdsaSecp256k1Signature2019()});
+      should.not.exist(result.error);
+      result.verified.should.equal(true);
+      // the signature does not verify for another document
+      result = await jsigs.verify(
+        {...signed, id: 'urn:test:other'},
+        {...options, suite: new EcdsaSecp256k1Signature2019()});
+      result.verified.should.equal(false);
+    });
+  }); // end `didKey`
+
+  describe('didResolver', () => {
+    const {didResolver} = brDataHubStorage;
+    let cfg;
+    let resolved = 0;
+    before(() => {
+      cfg = config['data-hub-storage'].didResolver;
+      config['data-hub-storage'].didResolver = {
+        ...cfg,
+        methods: {
+          ...cfg.methods,
+          web: {allow: ['did:web:example.com'], deny: []},
+          example: {allow: null, deny: ['did:example:denied']}
+        },
+        documents: {
+          'did:web:example.com': {
+            id: 'did:web:example.com',
+            publicKey: [{id: 'did:web:example.com#key-1'}]
+          }
+        },
+        cacheTtl: {example: 60 * 1000}
+      };
+      didResolver.register({
+        method: 'example',
+        resolve: async ({did}) => {
+          resolved++;
+          return {id: did, publicKey: [{id: `${did}#key-1`}]};
+        }
+      });
+    });
+    after(() => {
+      config['data-hub-storage'].didResolver = cfg;
+    });
+    it('should resolve a did:key DID', async () => {
+      const url = mockData.didKeys.ed25519;
+      const doc = await didResolver.resolve({url});
+      doc.id.should.equal(url);
+    });
+    it('should dereference a did:key key ID', async () => {
+      const did = mockData.didKeys.ed25519;
+      const url = `${did}#${did.substr(8)}`;
+      const key = await didResolver.resolve({url});
+      key.id.should.equal(url);
+      key.controller.should.equal(did);
+    });
+    it('should resolve a locally configured DID document', async () => {
+      const doc = await didResolver.resolve({url: 'did:web:example.com'});
+      doc.id.should.equal('did:web:example.com');
+      const key = await didResolver.resolve(
+        {url: 'did:web:example.com#key-1'});
+      key.should.deep.equal({id: 'did:web:example.com#key-1'});
+    });
+    it('should cache DID documents', async () => {
+      const did = 'did:example:cached';
+      const key = {id: `${did}#key-1`};
+      let doc = await didResolver.resolve({url: key.id});
+      doc.should.deep.equal(key);
+      doc = await didResolver.resolve({url: did});
+      doc.should.deep.equal({id: did, publicKey: [key]});
+      doc = await didResolver.resolve({url: key.id});
+      doc.should.deep.equal(key);
+      resolved.should.equal(1);
+    });
+    it('should fail to dereference an unknown DID URL', async () => {
+      let err;
+      try {
+        await didResolver.resolve({url: 'did:web:example.com#key-2'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    const notAllowed = {
+      'a denied DID': 'did:example:denied',
+      'a DID that is not allowed': 'did:web:other.example.com',
+      'a DID method that is not allowed': 'did:v1:test:nym:z6Mk'
+    };
+    for(const [name, url] of Object.entries(notAllowed)) {
+      it(`should fail to resolve ${name}`, async () => {
+        let err;
+        try {
+          await didResolver.resolve({url});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+      });
+    }
+  }); // end `didResolver`
+
+  describe('removeConfig', () => {
+    it('should remove a data hub and its contents', async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig(
+        {dataHubId: mockData.dataHubIds[0], controller: account.id});
+      await brDataHubStorage.insertConfig({actor, config});
+      const doc = mockData.createDoc({id: mockData.docIds[0]});
+      await brDataHubStorage.insert({dataHubId: config.id, doc});
+      await brDataHubStorage.updateChunk({
+        dataHubId: config.id, docId: doc.id,
+        chunk: mockData.createChunk({index: 0})
+      });
+      const result = await brDataHubStorage.removeConfig(
+        {actor, id: config.id});
+      result.should.equal(true);
+      const dataHubIdHash = database.hash(config.id);
+      let record = await database.collections.dataHubConfig.findOne(
+        {id: dataHubIdHash});
+      should.not.exist(record);
+      record = await database.collections.dataHubDoc.findOne(
+        {dataHubId: dataHubIdHash});
+      should.not.exist(record);
+      record = await database.collections.dataHubDocChunk.findOne(
+        {dataHubId: dataHubIdHash});
+      should.not.exist(record);
+    });
+    it('should resume an interrupted removal', async () => {
+      const actor = actors['alpha@example.com'];
+      const account = accounts['alpha@example.com'].account;
+      const config = mockData.createConfig(
+        {dataHubId: mockData.dataHubIds[1], controller: account.id});
+      await brDataHubStorage.insertConfig({actor, config});
+      const doc = mockData.createDoc({id: mockData.docIds[1]});
+      await brDataHubStorage.insert({dataHubId: config.id, doc});
+      // simulate an interrupted removal
+      await database.collections.dataHubConfig.update(
+        {id: database.hash(config.id)},
+        {$set: {'meta.removing': Date.now()}});
+      let err;
+      try {
+        await brDataHubStorage.getConfig({actor, id: config.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      const result = await brDataHubStorage.removeConfig(
+        {actor, id: config.id});
+      result.should.equal(true);
+      const record = await database.collections.dataHubDoc.findOne(
+        {dataHubId: database.hash(config.id)});
+      should.not.exist(record);
+    });
+    it('should return `false` for a missing data hub', async () => {
+      const actor = actors['alpha@example.com'];
+      const id = `${mockData.baseUrl}/data-hubs/${mockData.dataHubIds[0]}`;
+      const result = await brDataHubStorage.removeConfig({actor, id});
+      result.should.equal(false);
+    });
+  }); // end `removeConfig`
 }); // end bedrock-data-hub-storage
@@ -3,7 +3,11 @@
  */
 'use strict';
 
-require('bedrock-data-hub-storage');
+const brDataHubStorage = require('bedrock-data-hub-storage');
+const EcdsaSecp256r1Signature2019 = require(
+  'bedrock-data-hub-storage/lib/signatureSuites/EcdsaSecp256r1Signature2019');
+const Ed25519Signature2020 = require(
+  'bedrock-data-hub-storage/lib/signatureSuites/Ed25519Signature2020');
 const https = require('https');
 // allow self-signed cert for tests
 const axios = require('axios').create({
@@ -44,7 +48,8 @@ describe('bedrock-data-hub-storage HTTP API', () => {
     urls = {
       dataHubs: root,
       invalidDocuments: `${invalid}/documents`,
-      invalidQuery: `${invalid}/query`
+      invalidQuery: `${invalid}/query`,
+      invalidChanges: `${invalid}/changes`
     };
   });
 
@@ -73,6 +78,7 @@ describe('bedrock-data-hub-storage HTTP API', () => {
       dataHubId = config.id;
       urls.documents = `${dataHubId}/documents`;
       urls.query = `${dataHubId}/query`;
+      urls.changes = `${dataHubId}/changes`;
     });
     it('should fail for another account', async () => {
       let err;
@@ -93,6 +99,86 @@ describe('bedrock-data-hub-storage HTTP API', () => {
     });
   }); // end `insertConfig`
 
+  describe('findConfig', () => {
+    before(async () => {
+      // create a second data hub for pagination tests
+      const account = accounts['alpha@example.com'].account;
+      const config = {
+        ...mockData.config,
+        controller: account.id,
+        referenceId: 'secondary'
+      };
+      delete config.id;
+      await axios.post(
+        urls.dataHubs, config,
+        {headers: {'x-test-account': 'alpha@example.com'}});
+    });
+    it('should get a data hub by reference ID', async () => {
+      const account = accounts['alpha@example.com'].account;
+      const response = await axios.get(urls.dataHubs, {
+        headers: {'x-test-account': 'alpha@example.com'},
+        params: {controller: account.id, referenceId: 'primary'}
+      });
+      response.status.should.equal(200);
+      response.data.should.be.an('array');
+      response.data.length.should.equal(1);
+      response.data[0].id.should.equal(dataHubId);
+    });
+    it('should not page a lookup by reference ID', async () => {
+      const account = accounts['alpha@example.com'].account;
+      let err;
+      try {
+        await axios.get(urls.dataHubs, {
+          headers: {'x-test-account': 'alpha@example.com'},
+          params: {controller: account.id, referenceId: 'primary', limit: 1}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+    it('should list all data hubs for a controller', async () => {
+      const account = accounts['alpha@example.com'].account;
+      const response = await axios.get(urls.dataHubs, {
+        headers: {'x-test-account': 'alpha@example.com'},
+        params: {controller: account.id}
+      });
+      response.status.should.equal(200);
+      response.data.results.should.be.an('array');
+      response.data.results.length.should.equal(2);
+      response.data.hasMore.should.equal(false);
+      should.not.exist(response.data.next);
+    });
+    it('should page through data hubs for a controller', async () => {
+      const account = accounts['alpha@example.com'].account;
+      const headers = {'x-test-account': 'alpha@example.com'};
+      const params = {controller: account.id, limit: 1, sortBy: 'updated'};
+      let response = await axios.get(urls.dataHubs, {headers, params});
+      response.data.results.length.should.equal(1);
+      response.data.hasMore.should.equal(true);
+      const [first] = response.data.results;
+      response = await axios.get(urls.dataHubs, {
+        headers, params: {...params, cursor: response.data.next}
+      });
+      response.data.results.length.should.equal(1);
+      response.data.hasMore.should.equal(false);
+      response.data.results[0].id.should.not.equal(first.id);
+    });
+    it('should filter data hubs by reference ID prefix', async () => {
+      const account = accounts['alpha@example.com'].account;
+      const response = await axios.get(urls.dataHubs, {
+        headers: {'x-test-account': 'alpha@example.com'},
+        params: {controller: account.id, referenceIdPrefix: 'sec'}
+      });
+      response.status.should.equal(200);
+      response.data.results.length.should.equal(1);
+      response.data.results[0].referenceId.should.equal('secondary');
+    });
+  }); // end `findConfig`
+
   describe('insert', () => {
     it('should insert a document', async () => {
       const response = await axios.post(
@@ -162,6 +248,39 @@ describe('bedrock-data-hub-storage HTTP API', () => {
         {headers: {'x-test-account': 'alpha@example.com'}});
       response.status.should.equal(204);
     });
+    it('should update a document with a matching If-Match', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc2.id);
+      const doc = {...mockData.doc2, sequence: 1};
+      const response = await axios.post(
+        url, doc, {headers: {
+          'x-test-account': 'alpha@example.com',
+          'if-match': '"0"'
+        }});
+      response.status.should.equal(204);
+      response.headers.etag.should.equal('"1"');
+    });
+    it('should fail with a mismatched If-Match', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc1.id);
+      const doc = {...mockData.doc1, sequence: 2};
+      let err;
+      try {
+        await axios.post(
+          url, doc, {headers: {
+            'x-test-account': 'alpha@example.com',
+            'if-match': '"0"'
+          }});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(412);
+      err.response.data.type.should.equal('PreconditionFailedError');
+    });
     it('should fail for another data hub', async () => {
       const url =
         urls.invalidDocuments + '/' +
@@ -190,6 +309,21 @@ describe('bedrock-data-hub-storage HTTP API', () => {
         url, {headers: {'x-test-account': 'alpha@example.com'}});
       response.status.should.equal(200);
       response.data.should.deep.equal({...mockData.doc1, sequence: 1});
+      response.headers.etag.should.equal('"1"');
+    });
+    it('should get not modified with a matching If-None-Match', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc1.id);
+      const response = await axios.get(url, {
+        headers: {
+          'x-test-account': 'alpha@example.com',
+          'if-none-match': '"1"'
+        },
+        validateStatus: status => status === 304
+      });
+      response.status.should.equal(304);
+      response.data.should.equal('');
     });
     it('should fail for another data hub', async () => {
       const url =
@@ -223,6 +357,59 @@ describe('bedrock-data-hub-storage HTTP API', () => {
     });
   }); // end `get`
 
+  describe('chunks', () => {
+    const headers = {'x-test-account': 'alpha@example.com'};
+    it('should change the ETag of a rewritten chunk', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc2.id) + '/chunks/0';
+      // chunks may be rewritten at the same sequence, e.g., to retry uploads
+      const chunk = mockData.createChunk({index: 0, sequence: 1});
+      let response = await axios.post(url, chunk, {headers});
+      response.status.should.equal(204);
+      const {etag} = response.headers;
+      response = await axios.get(url, {headers});
+      response.status.should.equal(200);
+      response.data.should.deep.equal(chunk);
+      response.headers.etag.should.equal(etag);
+      response = await axios.post(url, chunk, {headers});
+      response.status.should.equal(204);
+      const {etag: newEtag} = response.headers;
+      newEtag.should.not.equal(etag);
+      response = await axios.get(
+        url, {headers: {...headers, 'if-none-match': etag}});
+      response.status.should.equal(200);
+      response.headers.etag.should.equal(newEtag);
+      response = await axios.get(url, {
+        headers: {...headers, 'if-none-match': newEtag},
+        validateStatus: status => status === 304
+      });
+      response.status.should.equal(304);
+    });
+    it('should fail to rewrite a chunk with a stale If-Match', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc2.id) + '/chunks/0';
+      const chunk = mockData.createChunk({index: 0, sequence: 1});
+      let response = await axios.get(url, {headers});
+      const {etag} = response.headers;
+      response = await axios.post(
+        url, chunk, {headers: {...headers, 'if-match': etag}});
+      response.status.should.equal(204);
+      let err;
+      try {
+        await axios.post(
+          url, chunk, {headers: {...headers, 'if-match': etag}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(412);
+      err.response.data.type.should.equal('PreconditionFailedError');
+    });
+  }); // end `chunks`
+
   describe('find', () => {
     it('should get a document by attribute', async () => {
       const entry = mockData.docWithAttributes.indexed[0];
@@ -234,9 +421,10 @@ describe('bedrock-data-hub-storage HTTP API', () => {
       const response = await axios.post(
         urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
       response.status.should.equal(200);
-      response.data.should.be.an('array');
-      response.data.length.should.equal(1);
-      response.data[0].should.deep.equal(mockData.docWithAttributes);
+      response.data.results.should.be.an('array');
+      response.data.results.length.should.equal(1);
+      response.data.results[0].should.deep.equal(mockData.docWithAttributes);
+      response.data.hasMore.should.equal(false);
     });
     it('should get a document by attribute and value', async () => {
       const entry = mockData.docWithAttributes.indexed[0];
@@ -248,9 +436,196 @@ describe('bedrock-data-hub-storage HTTP API', () => {
       const response = await axios.post(
         urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
       response.status.should.equal(200);
-      response.data.should.be.an('array');
-      response.data.length.should.equal(1);
-      response.data[0].should.deep.equal(mockData.docWithAttributes);
+      response.data.results.should.be.an('array');
+      response.data.results.length.should.equal(1);
+      response.data.results[0].should.deep.equal(mockData.docWithAttributes);
+      response.data.hasMore.should.equal(false);
+    });
+    it('should page through query results', async () => {
+      const headers = {'x-test-account': 'alpha@example.com'};
+      // insert another document with the same attribute
+      const doc = {...mockData.docWithAttributes, id: mockData.docIds[0]};
+      await axios.post(urls.documents, doc, {headers});
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = {index: entry.hmac.id, has: [attribute.name], limit: 1};
+      let response = await axios.post(urls.query, query, {headers});
+      response.status.should.equal(200);
+      response.data.results.length.should.equal(1);
+      response.data.hasMore.should.equal(true);
+      response.data.next.should.be.a('string');
+      const [first] = response.data.results;
+      response = await axios.post(
+        urls.query, {...query, cursor: response.data.next}, {headers});
+      response.status.should.equal(200);
+      response.data.results.length.should.equal(1);
+      response.data.results[0].id.should.not.equal(first.id);
+    });
+    it('should get only document IDs by attribute', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = {
+        index: entry.hmac.id,
+        has: [attribute.name],
+        returnType: 'ids'
+      };
+      const response = await axios.post(
+        urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(200);
+      response.data.results.length.should.equal(2);
+      for(const result of response.data.results) {
+        Object.keys(result).should.have.members(['id', 'sequence']);
+      }
+    });
+    it('should count documents by attribute', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = {
+        index: entry.hmac.id,
+        has: [attribute.name],
+        returnType: 'count'
+      };
+      const response = await axios.post(
+        urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(200);
+      response.data.should.deep.equal({count: 2});
+    });
+    it('should find documents using a filter', async () => {
+      const entry = mockData.docWithUniqueAttributes.indexed[0];
+      const [unique, other] = entry.attributes;
+      // "other" attribute and not "unique" attribute
+      const query = {
+        index: entry.hmac.id,
+        filter: {
+          and: [
+            {equals: {[other.name]: other.value}},
+            {not: {equals: {[unique.name]: unique.value}}}
+          ]
+        }
+      };
+      const response = await axios.post(
+        urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(200);
+      response.data.results.should.be.an('array');
+      for(const doc of response.data.results) {
+        doc.id.should.not.equal(mockData.docWithUniqueAttributes.id);
+      }
+    });
+    it('should find documents using an `in` filter', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = {
+        index: entry.hmac.id,
+        filter: {
+          or: [
+            {in: {[attribute.name]: ['does-not-exist', attribute.value]}},
+            {hasNot: [attribute.name]}
+          ]
+        },
+        returnType: 'count'
+      };
+      const response = await axios.post(
+        urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(200);
+      // every document indexed with the HMAC key matches
+      response.data.count.should.equal(4);
+    });
+    it('should find documents across multiple indexes', async () => {
+      const headers = {'x-test-account': 'alpha@example.com'};
+      const oldEntry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = oldEntry.attributes;
+      const newEntry = {
+        ...oldEntry,
+        hmac: {...oldEntry.hmac, id: `${oldEntry.hmac.id}-rotated`}
+      };
+      // document only indexed with the new HMAC key
+      await axios.post(urls.documents, {
+        ...mockData.docWithAttributes,
+        id: mockData.docIds[1],
+        indexed: [newEntry]
+      }, {headers});
+      // document indexed with both the old and new HMAC keys
+      await axios.post(urls.documents, {
+        ...mockData.docWithAttributes,
+        id: mockData.docIds[2],
+        indexed: [oldEntry, newEntry]
+      }, {headers});
+      const query = {
+        indexes: [{
+          index: oldEntry.hmac.id,
+          equals: [{[attribute.name]: attribute.value}]
+        }, {
+          index: newEntry.hmac.id,
+          filter: {equals: {[attribute.name]: attribute.value}}
+        }],
+        returnType: 'ids'
+      };
+      const response = await axios.post(urls.query, query, {headers});
+      response.status.should.equal(200);
+      const ids = response.data.results.map(({id}) => id);
+      ids.should.have.members([
+        mockData.docWithAttributes.id,
+        mockData.docIds[0],
+        mockData.docIds[1],
+        mockData.docIds[2]
+      ]);
+    });
+    it('should reject `index` with `indexes`', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const query = {
+        index: entry.hmac.id,
+        indexes: [{index: entry.hmac.id, has: ['foo']}]
+      };
+      let err;
+      try {
+        await axios.post(
+          urls.query, query,
+          {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+    it('should reject an invalid filter', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const query = {
+        index: entry.hmac.id,
+        filter: {and: [], or: []}
+      };
+      let err;
+      try {
+        await axios.post(
+          urls.query, query,
+          {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+    it('should reject an invalid cursor', async () => {
+      const entry = mockData.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = {
+        index: entry.hmac.id, has: [attribute.name], cursor: 'invalid'
+      };
+      let err;
+      try {
+        await axios.post(
+          urls.query, query,
+          {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('DataError');
     });
     it('should find no results', async () => {
       const entry = mockData.docWithAttributes.indexed[0];
@@ -261,8 +636,9 @@ describe('bedrock-data-hub-storage HTTP API', () => {
       const response = await axios.post(
         urls.query, query, {headers: {'x-test-account': 'alpha@example.com'}});
       response.status.should.equal(200);
-      response.data.should.be.an('array');
-      response.data.length.should.equal(0);
+      response.data.results.should.be.an('array');
+      response.data.results.length.should.equal(0);
+      response.data.hasMore.should.equal(false);
     });
     it('should fail for another data hub', async () => {
       const entry = mockData.docWithAttributes.indexed[0];
@@ -286,6 +662,23 @@ describe('bedrock-data-hub-storage HTTP API', () => {
   }); // end `find`
 
   describe('delete', () => {
+    it('should fail to delete with a mismatched If-Match', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc1.id);
+      let err;
+      try {
+        await axios.delete(url, {headers: {
+          'x-test-account': 'alpha@example.com',
+          'if-match': '"0"'
+        }});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(412);
+    });
     it('should delete a document', async () => {
       const url =
         urls.documents + '/' +
@@ -309,6 +702,19 @@ describe('bedrock-data-hub-storage HTTP API', () => {
       should.exist(err.response);
       err.response.status.should.equal(404);
     });
+    it('should restore a deleted document', async () => {
+      const url =
+        urls.documents + '/' +
+        encodeURIComponent(mockData.doc1.id);
+      const headers = {'x-test-account': 'alpha@example.com'};
+      let response = await axios.post(url + '/restore', {}, {headers});
+      response.status.should.equal(204);
+      response = await axios.get(url, {headers});
+      response.status.should.equal(200);
+      response.data.id.should.equal(mockData.doc1.id);
+      response = await axios.delete(url, {headers});
+      response.status.should.equal(204);
+    });
     it('should fail for another data hub', async () => {
       const url =
         urls.invalidDocuments + '/' +
@@ -326,4 +732,583 @@ describe('bedrock-data-hub-storage HTTP API', () => {
       err.response.data.type.should.equal('PermissionDenied');
     });
   }); // end `delete`
+
+  describe('changes', () => {
+    const headers = {'x-test-account': 'alpha@example.com'};
+    it('should get all changes in order', async () => {
+      const response = await axios.get(urls.changes, {headers});
+      response.status.should.equal(200);
+      const {results, hasMore, next} = response.data;
+      results.should.be.an('array');
+      results.length.should.be.gte(2);
+      hasMore.should.equal(false);
+      results.map(r => r.cursor).should.deep.equal(
+        results.map((r, i) => i + 1));
+      next.should.equal(results[results.length - 1].cursor);
+      // the most recent change is the deletion of `doc1`
+      const last = results[results.length - 1];
+      last.type.should.equal('delete');
+      last.id.should.equal(mockData.doc1.id);
+      last.changed.should.be.a('string');
+    });
+    it('should get changes since a cursor', async () => {
+      let response = await axios.get(
+        `${urls.changes}?limit=1`, {headers});
+      response.data.results.length.should.equal(1);
+      response.data.results[0].type.should.equal('insert');
+      response.data.hasMore.should.equal(true);
+      response.data.next.should.equal(1);
+      response = await axios.get(
+        `${urls.changes}?since=${response.data.next}&limit=1`, {headers});
+      response.data.results.length.should.equal(1);
+      response.data.results[0].cursor.should.equal(2);
+    });
+    it('should get no changes since the last cursor', async () => {
+      let response = await axios.get(urls.changes, {headers});
+      const {next} = response.data;
+      response = await axios.get(`${urls.changes}?since=${next}`, {headers});
+      response.data.should.deep.equal({results: [], hasMore: false, next});
+    });
+    it('should stream changes as server-sent events', async () => {
+      const url = `${dataHubId}/events?since=0`;
+      const response = await axios.get(
+        url, {headers, responseType: 'stream'});
+      response.status.should.equal(200);
+      response.headers['content-type'].should.match(/^text\/event-stream/);
+      // read until the first event has been received
+      const event = await new Promise((resolve, reject) => {
+        let text = '';
+        response.data.on('data', data => {
+          text += data.toString('utf8');
+          const match = text.match(/event: change\ndata: (.*)\n\n/);
+          if(match) {
+            resolve(JSON.parse(match[1]));
+          }
+        });
+        response.data.on('error', reject);
+      });
+      response.data.destroy();
+      event.cursor.should.equal(1);
+      event.type.should.equal('insert');
+      should.not.exist(event.doc);
+    });
+    it('should fail with an invalid cursor', async () => {
+      let err;
+      try {
+        await axios.get(`${urls.changes}?since=abc`, {headers});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+    it('should fail for another data hub', async () => {
+      let err;
+      try {
+        await axios.get(urls.invalidChanges, {headers});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(403);
+      err.response.data.type.should.equal('PermissionDenied');
+    });
+  }); // end `changes`
+
+  describe('batch', () => {
+    it('should run a batch of operations', async () => {
+      const doc = mockData.createDoc({id: mockData.docIds[3]});
+      const response = await axios.post(
+        `${urls.documents}/batch`, {
+          rollback: true,
+          operations: [
+            {type: 'insert', doc},
+            {type: 'update', doc: {...doc, sequence: 1}}
+          ]
+        }, {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(200);
+      response.data.should.deep.equal({
+        success: true,
+        results: [
+          {type: 'insert', id: doc.id, sequence: 0, status: 'success'},
+          {type: 'update', id: doc.id, sequence: 1, status: 'success'}
+        ]
+      });
+    });
+    it('should fail for an invalid operation', async () => {
+      let err;
+      try {
+        await axios.post(
+          `${urls.documents}/batch`,
+          {operations: [{type: 'replace', id: mockData.docIds[3]}]},
+          {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+  }); // end `batch`
+
+  describe('usage', () => {
+    it('should get the storage used by a data hub', async () => {
+      const response = await axios.get(
+        `${dataHubId}/usage`,
+        {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(200);
+      const {documents, chunks, bytes, indexes, lastModified} = response.data;
+      documents.should.be.gte(1);
+      chunks.should.be.a('number');
+      bytes.should.be.gte(Buffer.byteLength(mockData.doc1.jwe.ciphertext));
+      const hmacId = mockData.doc1.indexed[0].hmac.id;
+      indexes[hmacId].should.be.gte(1);
+      lastModified.should.be.a('string');
+    });
+  }); // end `usage`
+
+  describe('rateLimits', () => {
+    let limits;
+    before(() => {
+      limits = config['data-hub-storage'].rateLimits.client;
+      config['data-hub-storage'].rateLimits.client = {
+        ...limits, read: {capacity: 0, refillRate: 1}
+      };
+    });
+    after(() => {
+      config['data-hub-storage'].rateLimits.client = limits;
+    });
+    it('should reject requests over the rate limit', async () => {
+      let err;
+      try {
+        await axios.get(
+          urls.changes, {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(429);
+      err.response.headers['retry-after'].should.equal('1');
+      err.response.data.type.should.equal('RateLimitExceededError');
+    });
+  }); // end `rateLimits`
+
+  describe('audit', () => {
+    it('should fail for an invalid time range', async () => {
+      let err;
+      try {
+        await axios.get(
+          `${dataHubId}/audit?start=yesterday`,
+          {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+  }); // end `audit`
+
+  describe('authorizations', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let zcapDataHubId;
+    let url;
+    let key;
+    let invoker;
+    before(async () => {
+      // a data hub controlled by a `did:key` DID
+      key = await helpers.generateDidKey();
+      ({controller: invoker} = await helpers.generateDidKey());
+      const config = mockData.createConfig({
+        dataHubId: mockData.dataHubIds[0], controller: key.controller,
+        id: `${urls.dataHubs}/${mockData.dataHubIds[0]}`
+      });
+      await brDataHubStorage.insertConfig({actor: null, config});
+      zcapDataHubId = config.id;
+      url = `${zcapDataHubId}/authorizations`;
+    });
+    // stores a capability by invoking the authorizations root capability
+    const store = async capability => {
+      const json = await helpers.delegate({capability, key});
+      const headers = await helpers.signInvocation({
+        url, method: 'post', json, key,
+        capability: `${zcapDataHubId}/zcaps/authorizations`,
+        capabilityAction: 'write'
+      });
+      return axios.post(url, json, {headers});
+    };
+    const rejected = {
+      'an expired capability': {
+        id: 'urn:zcap:expired', expires: Date.now() - day
+      },
+      'a capability that is not valid yet': {
+        id: 'urn:zcap:not-valid-yet',
+        expires: Date.now() + 2 * day, notBefore: Date.now() + day
+      },
+      'a capability that expires after the maximum delegation TTL': {
+        id: 'urn:zcap:long-lived', expires: Date.now() + 2 * 365 * day
+      }
+    };
+    for(const [name, options] of Object.entries(rejected)) {
+      it(`should fail to store ${name}`, async () => {
+        let err;
+        try {
+          await store(mockData.createZcap(
+            {dataHubId: zcapDataHubId, invoker, ...options}));
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.exist(err.response);
+        err.response.status.should.equal(400);
+        err.response.data.type.should.equal('NotAllowedError');
+      });
+    }
+    it('should store a capability', async () => {
+      const response = await store(mockData.createZcap({
+        dataHubId: zcapDataHubId, id: 'urn:zcap:stored', invoker,
+        expires: Date.now() + day
+      }));
+      response.status.should.equal(204);
+    });
+  }); // end `authorizations`
+
+  describe('signature suites', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let zcapDataHubId;
+    let key;
+    let bob;
+    before(async () => {
+      // a data hub controlled by a `did:key` DID
+      key = await helpers.generateDidKey();
+      bob = await helpers.generateDidKey();
+      const config = mockData.createConfig({
+        dataHubId: mockData.dataHubIds[2], controller: key.controller,
+        id: `${urls.dataHubs}/${mockData.dataHubIds[2]}`
+      });
+      await brDataHubStorage.insertConfig({actor: null, config});
+      zcapDataHubId = config.id;
+    });
+    // runs `fn` with the suite also accepted for the given purpose
+    const allowSuite = async ({name, purpose}, fn) => {
+      const cfg = config['data-hub-storage'].suites;
+      const allowed = cfg[purpose];
+      cfg[purpose] = [...allowed, name];
+      try {
+        return await fn();
+      } finally {
+        cfg[purpose] = allowed;
+      }
+    };
+    // stores a capability by invoking the authorizations root capability
+    const store = async capability => {
+      const url = `${zcapDataHubId}/authorizations`;
+      const headers = await helpers.signInvocation({
+        url, method: 'post', json: capability, key,
+        capability: `${zcapDataHubId}/zcaps/authorizations`,
+        capabilityAction: 'write'
+      });
+      return axios.post(url, capability, {headers});
+    };
+    // inserts a document by invoking a stored capability as bob
+    const insert = async ({capability, doc}) => {
+      const url = `${zcapDataHubId}/documents`;
+      const headers = await helpers.signInvocation({
+        url, method: 'post', json: doc, key: bob, capability,
+        capabilityAction: 'write'
+      });
+      return axios.post(url, doc, {headers});
+    };
+    // generates a delegator's key and creates a suite that signs with it for
+    // each built-in suite other than `Ed25519Signature2018`; HTTP signatures
+    // require Ed25519 keys, so the suites are only used for delegation proofs
+    const delegators = {
+      Ed25519Signature2020: {
+        generateKey: helpers.generateDidKey,
+        createSuite: key => new Ed25519Signature2020({key}),
+        docId: mockData.docIds[0]
+      },
+      EcdsaSecp256r1Signature2019: {
+        generateKey: helpers.generateP256DidKey,
+        createSuite: ({id, signer}) => new EcdsaSecp256r1Signature2019(
+          {signer, verificationMethod: id}),
+        docId: mockData.docIds[1]
+      }
+    };
+    for(const [name, {generateKey, createSuite, docId}] of
+      Object.entries(delegators)) {
+      describe(name, () => {
+        let capability;
+        before(async () => {
+          // the controller delegates to the delegator, who delegates the
+          // capability on to bob using the suite
+          const delegator = await generateKey();
+          const parent = await helpers.delegate({
+            capability: mockData.createZcap({
+              dataHubId: zcapDataHubId, id: `urn:zcap:${name}:parent`,
+              invoker: delegator.controller, delegator: delegator.controller,
+              allowedAction: 'write', expires: Date.now() + day
+            }),
+            key
+          });
+          capability = await helpers.delegate({
+            capability: {
+              ...mockData.createZcap({
+                dataHubId: zcapDataHubId, id: `urn:zcap:${name}`,
+                invoker: bob.controller, allowedAction: 'write',
+                expires: Date.now() + day
+              }),
+              parentCapability: parent.id
+            },
+            capabilityChain: [parent.parentCapability, parent],
+            suite: createSuite(delegator)
+          });
+          capability.proof.type.should.equal(name);
+        });
+        it('should store a capability delegated with the suite', async () => {
+          const response = await allowSuite(
+            {name, purpose: 'delegation'}, () => store(capability));
+          response.status.should.equal(204);
+        });
+        it('should not invoke a capability when the suite is not allowed',
+          async () => {
+            let err;
+            try {
+              await insert({
+                capability: capability.id,
+                doc: mockData.createDoc({id: docId})
+              });
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            should.exist(err.response);
+            err.response.status.should.equal(400);
+            err.response.data.type.should.equal('NotAllowedError');
+          });
+        it('should invoke a capability delegated with the suite', async () => {
+          const response = await allowSuite(
+            {name, purpose: 'invocation'}, () => insert({
+              capability: capability.id,
+              doc: mockData.createDoc({id: docId})
+            }));
+          response.status.should.equal(201);
+        });
+      });
+    }
+  }); // end `signature suites`
+
+  describe('revocations', () => {
+    it('should fail for a capability for another data hub', async () => {
+      const capability = {
+        id: 'urn:zcap:other',
+        parentCapability: `${urls.dataHubs}/other/zcaps/documents`,
+        invocationTarget: `${urls.dataHubs}/other/documents`,
+        proof: {}
+      };
+      let err;
+      try {
+        await axios.post(`${dataHubId}/revocations`, capability);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('NotAllowedError');
+    });
+    it('should fail for an invalid capability', async () => {
+      let err;
+      try {
+        await axios.post(`${dataHubId}/revocations`, {id: 'urn:zcap:other'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('ValidationError');
+    });
+    it('should audit an unverifiable capability', async () => {
+      const capability = {
+        id: 'urn:zcap:unverifiable',
+        parentCapability: `${dataHubId}/zcaps/documents`,
+        invocationTarget: `${dataHubId}/documents`,
+        proof: {}
+      };
+      const start = Date.now();
+      let err;
+      try {
+        await axios.post(`${dataHubId}/revocations`, capability);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(400);
+      err.response.data.type.should.equal('NotAllowedError');
+      const records = await brDataHubStorage.audit.find({
+        dataHubId,
+        query: {
+          'meta.created': {$gte: start},
+          'event.target': `${dataHubId}/revocations`
+        }
+      });
+      records.should.have.length(1);
+      records[0].event.result.should.equal('denied');
+    });
+
+    describe('delegated capabilities', () => {
+      const day = 24 * 60 * 60 * 1000;
+      let zcapDataHubId;
+      let key;
+      let bob;
+      let mallory;
+      before(async () => {
+        // a data hub controlled by a `did:key` DID
+        key = await helpers.generateDidKey();
+        bob = await helpers.generateDidKey();
+        mallory = await helpers.generateDidKey();
+        const config = mockData.createConfig({
+          dataHubId: mockData.dataHubIds[1], controller: key.controller,
+          id: `${urls.dataHubs}/${mockData.dataHubIds[1]}`
+        });
+        await brDataHubStorage.insertConfig({actor: null, config});
+        zcapDataHubId = config.id;
+      });
+      // invokes a root capability of the data hub with the given key
+      const invokeRoot = async ({path, json, key}) => {
+        const url = `${zcapDataHubId}/${path}`;
+        const headers = await helpers.signInvocation({
+          url, method: 'post', json, key,
+          capability: `${zcapDataHubId}/zcaps/${path}`,
+          capabilityAction: 'write'
+        });
+        return axios.post(url, json, {headers});
+      };
+      // delegates a capability to write to the data hub's documents and
+      // stores it
+      const delegateAndStore = async ({id, invoker}) => {
+        const capability = await helpers.delegate({
+          capability: mockData.createZcap({
+            dataHubId: zcapDataHubId, id, invoker: invoker.controller,
+            allowedAction: 'write', expires: Date.now() + day
+          }),
+          key
+        });
+        const response = await invokeRoot(
+          {path: 'authorizations', json: capability, key});
+        response.status.should.equal(204);
+        return capability;
+      };
+      // inserts a document by invoking a stored capability
+      const insert = async ({capability, doc, key}) => {
+        const url = `${zcapDataHubId}/documents`;
+        const headers = await helpers.signInvocation({
+          url, method: 'post', json: doc, key, capability,
+          capabilityAction: 'write'
+        });
+        return axios.post(url, doc, {headers});
+      };
+      it('should not invoke a revoked capability', async () => {
+        const capability = await delegateAndStore(
+          {id: 'urn:zcap:revocable', invoker: bob});
+        let response = await insert({
+          capability: capability.id, key: bob,
+          doc: mockData.createDoc({id: mockData.docIds[0]})
+        });
+        response.status.should.equal(201);
+
+        response = await invokeRoot(
+          {path: 'revocations', json: capability, key});
+        response.status.should.equal(204);
+
+        let err;
+        try {
+          await insert({
+            capability: capability.id, key: bob,
+            doc: mockData.createDoc({id: mockData.docIds[1]})
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.exist(err.response);
+        err.response.status.should.equal(400);
+        err.response.data.type.should.equal('NotAllowedError');
+      });
+      it('should not revoke a capability delegated by another party',
+        async () => {
+          const capability = await delegateAndStore(
+            {id: 'urn:zcap:victim', invoker: bob});
+
+          // mallory may delegate a capability from her own capability, but
+          // gives it the ID of bob's capability
+          const parent = await helpers.delegate({
+            capability: mockData.createZcap({
+              dataHubId: zcapDataHubId, id: 'urn:zcap:mallory',
+              invoker: mallory.controller, delegator: mallory.controller,
+              allowedAction: 'write', expires: Date.now() + day
+            }),
+            key
+          });
+          const forged = await helpers.delegate({
+            capability: {
+              ...mockData.createZcap({
+                dataHubId: zcapDataHubId, id: capability.id,
+                invoker: mallory.controller, allowedAction: 'write',
+                expires: Date.now() + day
+              }),
+              parentCapability: parent.id
+            },
+            capabilityChain: [parent.parentCapability, parent],
+            key: mallory
+          });
+          let err;
+          try {
+            await invokeRoot(
+              {path: 'revocations', json: forged, key: mallory});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.exist(err.response);
+          err.response.status.should.equal(400);
+          err.response.data.type.should.equal('NotAllowedError');
+
+          // bob's capability has not been revoked
+          const response = await insert({
+            capability: capability.id, key: bob,
+            doc: mockData.createDoc({id: mockData.docIds[2]})
+          });
+          response.status.should.equal(201);
+        });
+    }); // end `delegated capabilities`
+  }); // end `revocations`
+
+  describe('removeConfig', () => {
+    it('should delete a data hub', async () => {
+      const response = await axios.delete(
+        dataHubId, {headers: {'x-test-account': 'alpha@example.com'}});
+      response.status.should.equal(204);
+    });
+    it('should return 404 for a missing data hub', async () => {
+      let err;
+      try {
+        await axios.delete(
+          dataHubId, {headers: {'x-test-account': 'alpha@example.com'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.exist(err.response);
+      err.response.status.should.equal(404);
+    });
+  }); // end `removeConfig`
 }); // end bedrock-data-hub-storage
@@ -5,9 +5,15 @@
 
 'use strict';
 
+const base58 = require('bs58');
 const brAccount = require('bedrock-account');
+const {CapabilityDelegation} = require('ocapld');
+const crypto = require('crypto');
 const database = require('bedrock-mongodb');
+const {Ed25519KeyPair} = require('crypto-ld');
+const jsigs = require('jsonld-signatures');
 const {promisify} = require('util');
+const {signCapabilityInvocation} = require('http-signature-zcap-invoke');
 const uuid = require('uuid/v4');
 
 const api = {};
@@ -21,6 +27,69 @@ api.createAccount = email => {
   return newAccount;
 };
 
+// generates an Ed25519 key whose controller is its `did:key` DID
+api.generateDidKey = async () => {
+  const key = await Ed25519KeyPair.generate();
+  const fingerprint = key.fingerprint();
+  key.controller = `did:key:${fingerprint}`;
+  key.id = `${key.controller}#${fingerprint}`;
+  return key;
+};
+
+// generates a P-256 key whose controller is its `did:key` DID; there is no
+// key pair class for P-256 keys, so the key only has a signer
+api.generateP256DidKey = async () => {
+  const {publicKey, privateKey} = await promisify(crypto.generateKeyPair)(
+    'ec', {namedCurve: 'P-256'});
+  // the uncompressed point ends the DER-encoded public key
+  const point = crypto.ECDH.convertKey(
+    publicKey.export({format: 'der', type: 'spki'}).slice(-65),
+    'prime256v1', undefined, undefined, 'compressed');
+  // multicodec p256-pub prefix
+  const fingerprint = 'z' + base58.encode(
+    Buffer.concat([Buffer.from([0x80, 0x24]), point]));
+  const controller = `did:key:${fingerprint}`;
+  return {
+    id: `${controller}#${fingerprint}`,
+    controller,
+    signer: {
+      sign: async ({data}) => crypto.sign(
+        'sha256', Buffer.from(data),
+        {key: privateKey, dsaEncoding: 'ieee-p1363'})
+    }
+  };
+};
+
+// signs a capability delegated from a root capability (its
+// `parentCapability`) with the given key; a capability delegated from another
+// delegated capability needs the full `capabilityChain` and a `suite` other
+// than `Ed25519Signature2018` may be given to sign with instead of a key
+api.delegate = async ({
+  capability, key, capabilityChain = [capability.parentCapability],
+  suite = new jsigs.suites.Ed25519Signature2018({key})
+}) => {
+  return jsigs.sign(capability, {
+    suite,
+    purpose: new CapabilityDelegation({capabilityChain}),
+    documentLoader: jsigs.extendContextLoader(async url => {
+      throw new Error(`Dereferencing "${url}" is not supported.`);
+    }),
+    compactProof: false
+  });
+};
+
+// signs HTTP request headers to invoke a capability with the given key
+api.signInvocation = async ({
+  url, method, json, capability, capabilityAction, key
+}) => {
+  const invocationSigner = key.signer();
+  invocationSigner.id = key.id;
+  return signCapabilityInvocation({
+    url, method, headers: {}, json, capability, capabilityAction,
+    invocationSigner
+  });
+};
+
 api.getActors = async mockData => {
   const actors = {};
   for(const [key, record] of Object.entries(mockData.accounts)) {
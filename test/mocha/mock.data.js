@@ -218,3 +218,96 @@ data.docWithUniqueAttributes2 = {
     "tag": "pfZO0JulJcrc3trOZy8rjA"
   }
 };
+
+// valid multibase, base58-encoded 128-bit IDs
+data.dataHubIds = [
+  'z19kX8xdnyzeFEVM5yS6kSPEY',
+  'z19jrktPCot3WfumsTQX8ogn2',
+  'z1AFtUGTZH88wBw3QuZEgADur',
+  'z19qhrxxxSjrQhVH3xUMmVuo1',
+  'z1A8ozKqB1tyPaCgzCXWdey9G',
+  'z19jGxrKTZhdEjVR1VU5oHgce',
+  'z19oQbKWfzM9JoVvNHC9vSyc9',
+  'z19tfuJdJk94bepJxA12Ya1yU',
+  'z19qwQb75AbuitFD7auL2dDWt'
+];
+data.docIds = [
+  'z19mLTArgbfCF49vZbueTRxC4',
+  'z1A6JWop29p6PAwSdKSLwey4S',
+  'z19stRMG7DPHsitbVrSYpf4p8',
+  'z19pTpsoWE1QzJ7osUoyRgMeF',
+  'z19vj5GWj9tq8c3ebhvgk1U2h',
+  'z19qqQ1K2kdqbEJMr5qUE8juD'
+];
+
+data.keyAgreementKey = {
+  id: `${data.baseUrl}/kms/f3ce1a43-162f-43b2-80b4-b51abbeea46e`,
+  type: 'X25519KeyAgreementKey2019'
+};
+
+// builds a valid config for a data hub with the given ID and controller
+data.createConfig = ({dataHubId, controller, ...rest}) => ({
+  id: `${data.baseUrl}/data-hubs/${dataHubId}`,
+  controller,
+  sequence: 0,
+  keyAgreementKey: data.keyAgreementKey,
+  hmac: data.config.hmac,
+  ...rest
+});
+
+// builds a valid document with the given ID
+data.createDoc = ({id, sequence = 0}) => ({
+  ...data.doc1,
+  id,
+  sequence
+});
+
+// builds a valid document chunk
+data.createChunk = ({index = 0, sequence = 0}) => ({
+  index,
+  offset: 0,
+  sequence,
+  jwe: data.doc1.jwe
+});
+
+// `did:key` DIDs by key type
+data.didKeys = {
+  ed25519: 'did:key:z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH',
+  x25519: 'did:key:z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc',
+  secp256k1: 'did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme',
+  p256: 'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169',
+  p384: 'did:key:z82Lm1MpAkeJcix9K8TMiLd5NMAhnwkjjCBeWHXyu3U4oT2MVJJKXkcVBgj' +
+    'GhnLBn2Kaau9'
+};
+
+// builds a capability to read (or write) a data hub's documents, delegated
+// from its root capability; `notBefore` is not defined by the security context
+data.createZcap = ({
+  dataHubId, id, invoker, delegator, allowedAction = 'read', expires,
+  notBefore
+}) => {
+  const zcap = {
+    '@context': [
+      'https://w3id.org/security/v2',
+      {
+        notBefore: {
+          '@id': 'https://w3id.org/security#notBefore',
+          '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+        }
+      }
+    ],
+    id,
+    parentCapability: `${dataHubId}/zcaps/documents`,
+    invocationTarget: `${dataHubId}/documents`,
+    invoker,
+    allowedAction,
+    expires: new Date(expires).toISOString()
+  };
+  if(delegator !== undefined) {
+    zcap.delegator = delegator;
+  }
+  if(notBefore !== undefined) {
+    zcap.notBefore = new Date(notBefore).toISOString();
+  }
+  return zcap;
+};